@@ -25,6 +25,7 @@ module.exports = function runGrunt(grunt) {
           fit: false,
           jasmine: false,
           runs: false,
+          spyOn: false,
           waitsFor: false,
           xdescribe: false,
           xit: false,
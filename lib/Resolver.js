@@ -1,19 +1,81 @@
 'use strict';
 
 //TODO: switch to node-unzip whenever https://github.com/nearinfinity/node-unzip/issues/16 is fixed
-const path = require('path'),
+const EventEmitter = require('events').EventEmitter,
+      path = require('path'),
+      stream = require('stream'),
+      util = require('util'),
       Promise = require('bluebird'),
       fs = Promise.promisifyAll(require('fs')),
       niagaraUtils = require('./util/niagara'),
       fileUtils = require('./util/file'),
+      jarIndex = require('./util/jarIndex'),
+      extractCache = require('./util/extractCache'),
+      moduleLayout = require('./util/layout'),
+      errors = require('./errors'),
+      
+      callbackOrPromise = require('./util/promise').callbackOrPromise,
+      propertiesUtils = require('./util/properties'),
+      toLogger = require('./util/logger').toLogger,
+      parseModuleXml = require('./util/moduleXml').parseModuleXml,
+      amd = require('./util/amd'),
+      glob = require('./util/glob'),
       
       getModuleFileInfo = niagaraUtils.getModuleFileInfo,
       getNiagaraHome = niagaraUtils.getNiagaraHome,
+
+      findDependencies = amd.findDependencies,
+      parseId = amd.parseId,
+      resolveRelativeId = amd.resolveRelativeId,
+
+      parseStringProperties = propertiesUtils.parseStringProperties,
+      readPropertiesFiles = propertiesUtils.readPropertiesFiles,
+
+      getGlobBase = glob.getGlobBase,
+      globToRegExp = glob.globToRegExp,
       
+      createTmpDir = fileUtils.createTmpDir,
+      getJarIdentity = fileUtils.getJarIdentity,
       getTmpFileFromJarPath = fileUtils.getTmpFileFromJarPath,
+      isInside = fileUtils.isInside,
+      listFilesInDir = fileUtils.listFilesInDir,
+      readFromZip = fileUtils.readFromZip,
+      removeTmpDir = fileUtils.removeTmpDir,
+      removeTmpPath = fileUtils.removeTmpPath,
+
+      evictLeastRecentlyUsed = extractCache.evictLeastRecentlyUsed,
+      getCacheKey = extractCache.getCacheKey,
+      markUsed = extractCache.markUsed,
+      removeModuleCacheDirs = extractCache.removeModuleCacheDirs,
+
+      findEntry = jarIndex.findEntry,
+      getJarIndex = jarIndex.getJarIndex,
+
+      getProfileDirs = moduleLayout.getProfileDirs,
+      getSourceRoots = moduleLayout.getSourceRoots,
+      isSameLayout = moduleLayout.isSameLayout,
+      toModuleLayouts = moduleLayout.toModuleLayouts,
+
+      ConfigError = errors.ConfigError,
+      FileNotFoundError = errors.FileNotFoundError,
+      JarUnreadableError = errors.JarUnreadableError,
+      MalformedOrdError = errors.MalformedOrdError,
+      ModuleDevError = errors.ModuleDevError,
+      ModuleNotFoundError = errors.ModuleNotFoundError,
+      UnsafePathError = errors.UnsafePathError,
   
       TEST_REGEX = /Test$/, // is this a test module?
-      RUNTIME_PROFILES = [ '-ux', '-rt', '-wb', '-se', '' ];
+      DEFAULT_PROFILES = [ '-ux', '-rt', '-wb', '-se', '' ],
+      MODULE_XML_PATH = 'META-INF/module.xml',
+      //where module.xml may be found in a moduledev profile directory
+      MODULE_DEV_XML_PATHS = [ MODULE_XML_PATH, 'build/' + MODULE_XML_PATH ],
+      //lookup failures that just mean an optional lexicon file is not there
+      MISSING_CODES = [ ModuleNotFoundError.code, FileNotFoundError.code ],
+      //module names and languages become part of file paths, so keep them plain
+      MODULE_NAME_REGEX = /^[\w$-]+$/,
+      LANG_REGEX = /^[a-z0-9]+(?:[-_][a-z0-9]+)*$/i,
+      //config.cacheDir may be shared, so extract into a directory of our own
+      CACHE_DIR_NAME = 'niagara-moduledev';
 
 
 /**
@@ -21,16 +83,184 @@ const path = require('path'),
  * to actual files. An instanceof this will be passed to the
  * {@link module:niagara-moduledev|fromFile() and fromRawString()} methods.
  *
- * @param {Object} reg Object literal mapping module names to source directories
- * on your hard drive
+ * @param {Object|Array.<Object>} reg Object literal mapping module names to
+ * source directories on your hard drive, or an ordered list of them to be
+ * merged, with later entries winning. `myModule.src` and `myModule.srcTest` entries may
+ * override the module's source roots: comma-separated directories, searched
+ * in order, either absolute or relative to the module directory, using
+ * `{module}` and `{profile}` placeholders. The defaults are
+ * `{module}{profile}/src` and `{module}{profile}/srcTest`.
  * @param {Object} [config] Configuration object
- * @param {String} [config.niagaraHome=process.env.niagara_home]
- * `niagara_home` directory
+ * @param {String|Array.<String>} [config.niagaraHome=process.env.niagara_home]
+ * `niagara_home` directory, or an ordered list of them. Each module's jars
+ * are read from the first `niagara_home` that has any.
+ * @param {String|Array.<String>} [config.propertiesFile] the
+ * `moduledev.properties` file the registry was read from. If `reg` is an
+ * array of registries, the file each one was read from. Required for
+ * {@link Resolver#reload}.
+ * @param {Boolean} [config.watch=false] set true to immediately start
+ * watching `config.propertiesFile` for changes
+ * @param {Number} [config.watchInterval=1000] how often to poll
+ * `config.propertiesFile` for changes, in milliseconds
+ * @param {String} [config.indexDir] if given, the index of each jar's
+ * entries will be persisted in this directory, so later processes do not
+ * need to rescan the jars
+ * @param {Array.<String>|Object.<string, Array.<String>>} [config.profiles]
+ * runtime profile suffixes to search, in order, for both moduledev profile
+ * directories and jars. Defaults to `['-ux', '-rt', '-wb', '-se', '']`; use
+ * `''` for a module with no runtime profile. To configure individual
+ * modules, pass an object mapping module names to suffixes, with a `*` key
+ * for all other modules.
+ * @param {Boolean} [config.debug=false] set true to log every candidate
+ * tried when resolving a file, as returned by {@link Resolver#explain}
+ * @param {Logger|null|false} [config.logger=console] where to write log
+ * messages. Pass `null` or `false` to silence them.
+ * @param {Object.<string, String|null>} [config.pluginExtensions] default
+ * file extensions for the resources of RequireJS plugins, in addition to
+ * `.hbs` for `hbs!` and `.css` for `css!`, e.g. `{ less: '.less' }`
+ * @param {Boolean} [config.allowSymlinks=false] by default, a file in a
+ * source root that is a symlink to somewhere outside the source root, or is
+ * inside a symlinked directory that is, will not be served. Set true to
+ * follow symlinks wherever they lead.
+ * @param {String} [config.cacheDir] directory to extract files from jars
+ * into. Files are kept in a `niagara-moduledev` directory inside it, keyed
+ * by the identity of the jars they came from, so later processes using the
+ * same directory can reuse them. Nothing else in it is touched. By
+ * default, each resolver extracts to its own temp dir, which is deleted by
+ * {@link Resolver#dispose} or when the process exits.
+ * @param {Number} [config.maxCacheSize] maximum total size, in bytes, of
+ * the files extracted to `config.cacheDir` or the temp dir. When exceeded,
+ * the files of the least recently used modules are deleted in the
+ * background, so the cache may briefly grow past it.
  * @constructor
+ * @extends EventEmitter
  */
 function Resolver(reg, config) {
-  const niagaraHome = getNiagaraHome(config),
+  EventEmitter.call(this);
+
+  const that = this,
+        niagaraHomes = [].concat(getNiagaraHome(config)),
+        propertiesFiles = [].concat((config && config.propertiesFile) || []),
+        watchInterval = (config && config.watchInterval) || 1000,
+        debug = !!(config && config.debug),
+        logger = toLogger(config && config.logger),
+        pluginExtensions = config && config.pluginExtensions,
+        allowSymlinks = !!(config && config.allowSymlinks),
+        ordOptions = { pluginExtensions: pluginExtensions },
+        jarOptions = { indexDir: config && config.indexDir },
+        cacheDir = config && config.cacheDir,
+        maxCacheSize = config && config.maxCacheSize,
+        profilesByModule = toProfilesByModule(config && config.profiles),
+        knownProfiles = getKnownProfiles(profilesByModule),
         filePathCache = {};
+
+  let layouts = toModuleLayouts(reg || {}, propertiesFiles),
+      reloading = Promise.resolve(),
+      evicting = Promise.resolve(),
+      evictionScheduled = false,
+      //directories used since the last eviction, which it must not delete
+      usedSinceEviction = [],
+      extractRoot,
+      watcher;
+
+  /**
+   * @private
+   * @param {String} moduleName e.g. `bajaScript` or `bajaScriptTest`
+   * @returns {Array.<String>} runtime profile suffixes to search for this
+   * module, in order. A test module uses the profiles of the module it tests,
+   * unless configured separately.
+   */
+  function getProfiles(moduleName) {
+    return profilesByModule[moduleName] ||
+      profilesByModule[moduleName.replace(TEST_REGEX, '')] ||
+      profilesByModule['*'];
+  }
+
+  /**
+   * @private
+   * @param {ModuleFileInfo} modInfo
+   * @returns {Array.<SourceRoot>} the moduledev directories to search for
+   * files in this module, in order, or an empty array if the module is not in
+   * `moduledev.properties`
+   */
+  function getModuleDevRoots(modInfo) {
+    const moduleName = getModuleName(modInfo),
+          layout = layouts[moduleName];
+
+    if (!layout) {
+      return [];
+    }
+
+    return getSourceRoots(layout, moduleName, TEST_REGEX.test(modInfo.name),
+      getProfiles(moduleName));
+  }
+
+  /**
+   * Emits a `fallback` event if the module is in `moduledev.properties`,
+   * but the file could not be found there.
+   *
+   * @private
+   * @param {String} url
+   * @param {ModuleFileInfo} modInfo
+   */
+  function fallBack(url, modInfo) {
+    if (layouts[getModuleName(modInfo)]) {
+      that.emit('fallback', { ord: url, module: modInfo.name });
+    }
+  }
+
+  /**
+   * @private
+   * @param {String} moduleName
+   * @param {String} profile runtime profile suffix, e.g. `-ux`
+   * @param {String} niagaraHome
+   * @returns {String} path to the module jar for this runtime profile in
+   * `niagara_home/modules`
+   */
+  function getJarPath(moduleName, profile, niagaraHome) {
+    return path.resolve(
+      niagaraHome + '/modules/' + moduleName + profile + '.jar');
+  }
+
+  /**
+   * Finds the `niagara_home` to read a module's jars from: the first one
+   * that has any jars for the module. All of a module's runtime profiles are
+   * read from the same `niagara_home`, so jars from different Niagara
+   * versions are never mixed.
+   *
+   * @private
+   * @param {String} moduleName
+   * @returns {Promise.<{niagaraHome: String, jars: Object.<string, Object>}>}
+   * the `niagara_home` (the first one, if none have the module), and the
+   * identities of every jar checked to find it
+   */
+  function getModuleHome(moduleName) {
+    const profiles = getProfiles(moduleName),
+          jars = {};
+
+    if (niagaraHomes.length === 1) {
+      return Promise.resolve({ niagaraHome: niagaraHomes[0], jars: jars });
+    }
+
+    return (function fromHome(i) {
+      if (i >= niagaraHomes.length) {
+        return { niagaraHome: niagaraHomes[0], jars: jars };
+      }
+
+      const niagaraHome = niagaraHomes[i];
+
+      return Promise.all(profiles.map(profile => {
+        const jarPath = getJarPath(moduleName, profile, niagaraHome);
+        return getJarIdentity(jarPath)
+          .then(identity => {
+            jars[jarPath] = identity;
+            return identity;
+          });
+      }))
+        .then(identities => identities.some(identity => identity) ?
+          { niagaraHome: niagaraHome, jars: jars } : fromHome(i + 1));
+    }(0));
+  }
   
   /**
    * Gets a path to a file on your hard drive, as determined by your
@@ -38,122 +268,589 @@ function Resolver(reg, config) {
    *
    * @private
    * @param {ModuleFileInfo} modInfo module name and file path
+   * @param {Array.<TraceCandidate>} [trace] if given, each candidate tried
+   * will be added to it
    * @returns {Promise.<string>} promise to receive a path to file in a source
    * directory on your hard drive, as determined from `moduledev.properties`,
    * or reject if the requested module was not found in
    * `moduledev.properties`
    */
-  function modulePathToModuleDev(modInfo) {
-    if (typeof modInfo.path !== 'string') {
-      return Promise.resolve();
-    }
-
+  function modulePathToModuleDev(modInfo, trace) {
     let moduleName = getModuleName(modInfo),
-        srcFolder = getSrcFolder(modInfo),
         modulePath = modInfo.path,
-        profiles = RUNTIME_PROFILES,
-        dir = reg[moduleName];
+        roots = getModuleDevRoots(modInfo);
+
+    addToTrace(trace, {
+      source: 'registry',
+      module: moduleName,
+      path: layouts[moduleName] && layouts[moduleName].dir,
+      outcome: roots.length ? 'found' : 'missing'
+    });
     
-    if (!dir) {
+    if (!roots.length) {
       return Promise.reject(new Error('module ' + moduleName + ' not present in moduledev'));
     }
     
     function doResolve(modulePath) {
-      return (function fromProfile(i) {
-        if (i >= profiles.length) {
+      return (function fromRoot(i) {
+        if (i >= roots.length) {
           return Promise.reject(new Error('could not find ' + modInfo.fullPath +
             ' in any JAR module'));
         }
 
-        const filePath = path.join(
-          dir, moduleName + profiles[i], srcFolder, modulePath);
+        const filePath = path.join(roots[i].dir, modulePath),
+              candidate = { source: 'moduledev', path: filePath, profile: roots[i].profile };
         
-        return verifyFileIsReadable(filePath).catch(() => fromProfile(i + 1));
+        return confine(roots[i].dir, filePath)
+          .then(verifyFileIsReadable)
+          .then(filePath => {
+            addToTrace(trace, candidate, 'chosen');
+            return filePath;
+          }, err => {
+            addToTrace(trace, candidate, err.code === UnsafePathError.code ? 'unsafe' :
+              err.code === 'ENOENT' ? 'missing' : 'unreadable');
+            return fromRoot(i + 1);
+          });
       }(0));
     }
     return resolveModulePath(modulePath, doResolve);
   }
 
 
+  /**
+   * Check that a file in a source root stays inside it. Unless
+   * `config.allowSymlinks` is set, symlinks are resolved first, so a symlink
+   * can't lead out of the source root either.
+   *
+   * @private
+   * @param {String} dir the source root
+   * @param {String} filePath
+   * @returns {Promise.<string>} promise to receive the file path, or reject
+   * with an `UnsafePathError` if it is outside the source root, or an
+   * `ENOENT` error if it does not exist
+   */
+  function confine(dir, filePath) {
+    if (!isInside(dir, filePath)) {
+      return Promise.reject(new UnsafePathError(filePath + ' is outside ' + dir,
+        { path: filePath }));
+    }
+
+    if (allowSymlinks) {
+      return Promise.resolve(filePath);
+    }
+
+    return Promise.all([ fs.realpathAsync(dir), fs.realpathAsync(filePath) ])
+      .spread((realDir, realPath) => {
+        if (!isInside(realDir, realPath)) {
+          logger.warn('niagara-moduledev: not following ' + filePath + ' to ' +
+            realPath + ', outside ' + dir + '. Set allowSymlinks to allow this.');
+          throw new UnsafePathError(filePath + ' links outside ' + dir, { path: filePath });
+        }
+        return filePath;
+      });
+  }
+
   /**
    * Search through all jars/runtime profiles in `niagara_home/modules` matching
    * the module name to find the file, extract it to a temporary dir, and
    * return the path to the temporary file.
    *
+   * Previously extracted files will be reused, unless any of the jars
+   * consulted to extract them have since changed.
+   *
    * @private
    * @param {ModuleFileInfo} modInfo module name and desired
    * in-module file path
+   * @param {Array.<TraceCandidate>} [trace] if given, each candidate tried
+   * will be added to it
    * @returns {Promise.<string>} Promise to receive a String path to a file
    * extracted from the appropriate jar. Rejects if no module jar file could be
    * found.
    */
-  function getTmpFileFromModuleInfo(modInfo) {
-    let cached = filePathCache[modInfo.fullPath];
-    if (cached) {
-      return Promise.resolve(cached);
+  function getTmpFileFromModuleInfo(modInfo, trace) {
+    const fullModulePath = modInfo.fullPath,
+          cached = filePathCache[fullModulePath];
+
+    if (!cached) {
+      return extractFromModuleInfo(modInfo, trace);
     }
 
+    return isCacheEntryValid(cached)
+      .then(valid => {
+        addToTrace(trace, { source: 'cache', path: cached.path },
+          valid ? 'chosen' : 'stale');
+
+        if (valid) {
+          return markUsed(cached.dir).then(() => cached.path);
+        }
+
+        if (filePathCache[fullModulePath] === cached) {
+          delete filePathCache[fullModulePath];
+        }
+        //everything else extracted with it came from the same jars, so is
+        //stale too
+        return getExtractRoot()
+          .then(rootDir => removeTmpPath(cached.dir, rootDir))
+          .then(() => extractFromModuleInfo(modInfo, trace));
+      });
+  }
+
+  /**
+   * @private
+   * @param {ModuleFileInfo} modInfo
+   * @param {Array.<TraceCandidate>} [trace]
+   * @returns {Promise.<string>}
+   * @see getTmpFileFromModuleInfo
+   */
+  function extractFromModuleInfo(modInfo, trace) {
     const moduleName = modInfo.name,
           modulePath = modInfo.path,
           fullModulePath = modInfo.fullPath,
-          profiles = RUNTIME_PROFILES;
+          jars = {};
+
+    let extractedPath,
+        extractedFrom,
+        extractDir;
 
     if (!moduleName) {
       return Promise.reject(new Error('could not find module'));
     }
 
+    const profiles = getProfiles(moduleName);
+
+    let niagaraHome;
+
+    function cache(filePath) {
+      filePathCache[fullModulePath] = { path: filePath, dir: extractDir, jars: jars };
+      that.emit('extracted', {
+        module: moduleName,
+        entryName: modulePath,
+        jarPath: extractedFrom,
+        path: filePath
+      });
+      return enforceCacheSize(extractDir).then(() => filePath);
+    }
+
     function doResolve(modulePath) {
       return (function fromProfile(i) {
         if (i >= profiles.length) {
-          return filePathCache[fullModulePath] || Promise.reject(
+          return extractedPath ? cache(extractedPath) : Promise.reject(
               new Error('could not find ' + fullModulePath + ' in any JAR module'));
         }
 
-        const jarPath = path.resolve(
-          niagaraHome + '/modules/' + moduleName + profiles[i] + '.jar');
+        const jarPath = getJarPath(moduleName, profiles[i], niagaraHome),
+              candidate = {
+                source: 'jar',
+                path: jarPath,
+                entryName: modulePath,
+                profile: profiles[i]
+              };
 
-        return getTmpFileFromJarPath(jarPath, moduleName, modulePath)
+        return Promise.resolve(jars[jarPath])
+          .then(identity => {
+            if (!identity) {
+              addToTrace(trace, candidate, 'missing');
+              throw new Error('no jar at ' + jarPath);
+            }
+            return getTmpFileFromJarPath(jarPath, modulePath, extractDir, jarOptions)
+              .catch(err => {
+                addToTrace(trace, candidate,
+                  err.code === JarUnreadableError.code ? 'unreadable' :
+                  err.code === UnsafePathError.code ? 'unsafe' : 'not in jar');
+                throw err;
+              });
+          })
           .then(info => {
-            filePathCache[fullModulePath] = info.path;
+            addToTrace(trace, candidate, 'chosen');
+            extractedPath = info.path;
+            extractedFrom = extractedFrom || jarPath;
             if (info.isDirectory) {
               //continue to recursively populate the tmp directory with files
               //from all runtime profile modules.
               return fromProfile(i + 1);
             } else {
-              return info.path;
+              return cache(info.path);
             }
           })
           .catch(() => fromProfile(i + 1));
       }(0));
     }
-    return resolveModulePath(modulePath, doResolve);
+
+    return getModuleHome(moduleName)
+      .then(found => {
+        //a jar installed in an earlier niagara_home also invalidates the file
+        Object.assign(jars, found.jars);
+        niagaraHome = found.niagaraHome;
+        //remember jars that don't exist too, in case they get installed
+        return Promise.all(profiles.map(profile => {
+          const jarPath = getJarPath(moduleName, profile, niagaraHome);
+          return getJarIdentity(jarPath)
+            .then(identity => { jars[jarPath] = identity; });
+        }));
+      })
+      .then(getExtractRoot)
+      .then(rootDir => {
+        //keyed by the jars, so files extracted from other versions of them
+        //are never picked up
+        extractDir = path.join(rootDir, moduleName, getCacheKey(jars));
+        return resolveModulePath(modulePath, doResolve);
+      });
+  }
+
+  /**
+   * @private
+   * @returns {Promise.<string>} the directory to extract files under:
+   * `niagara-moduledev` inside `config.cacheDir`, or this resolver's own
+   * temp dir
+   */
+  function getExtractRoot() {
+    return extractRoot || (extractRoot = cacheDir ?
+      Promise.resolve(path.join(path.resolve(cacheDir), CACHE_DIR_NAME)) : createTmpDir());
+  }
+
+  /**
+   * Mark files extracted to a directory as just used, and if
+   * `config.maxCacheSize` is set, schedule deleting the least recently used
+   * files until the cache fits.
+   *
+   * Evictions run in the background, one at a time, so extracting a file
+   * never waits for the cache to be scanned. Directories used while an
+   * eviction is pending are all handled by that one eviction. Failing to
+   * evict is only logged.
+   *
+   * @private
+   * @param {String} dirPath the directory files were just extracted to
+   * @returns {Promise} resolves once the directory is marked as used
+   */
+  function enforceCacheSize(dirPath) {
+    return markUsed(dirPath)
+      .then(() => {
+        if (maxCacheSize) {
+          scheduleEviction(dirPath);
+        }
+      });
+  }
+
+  /**
+   * @private
+   * @param {String} dirPath the directory files were just extracted to
+   * @see enforceCacheSize
+   */
+  function scheduleEviction(dirPath) {
+    if (usedSinceEviction.indexOf(dirPath) < 0) {
+      usedSinceEviction.push(dirPath);
+    }
+
+    if (evictionScheduled) {
+      return;
+    }
+    evictionScheduled = true;
+
+    //don't recreate the temp dir if disposed in the meantime
+    const rootDir = getExtractRoot();
+
+    evicting = evicting
+      .then(() => {
+        const keep = usedSinceEviction;
+        evictionScheduled = false;
+        usedSinceEviction = [];
+        return rootDir.then(dir => evictLeastRecentlyUsed(dir, maxCacheSize, keep));
+      })
+      .then(evicted => Object.keys(filePathCache).forEach(fullModulePath => {
+        if (evicted.indexOf(filePathCache[fullModulePath].dir) >= 0) {
+          delete filePathCache[fullModulePath];
+        }
+      }))
+      .catch(err => logger.warn('niagara-moduledev: could not evict extracted files: ' +
+        err.message));
+  }
+
+  /**
+   * Find the jar entry for a file, without extracting it.
+   *
+   * @private
+   * @param {ModuleFileInfo} modInfo module name and desired
+   * in-module file path
+   * @param {Array.<TraceCandidate>} [trace] if given, each candidate tried
+   * will be added to it
+   * @param {Boolean} [directories] true to also find directories. As with
+   * extracting them, every jar containing the directory is chosen, and the
+   * first is returned.
+   * @returns {Promise.<{jarPath: string, entryName: string, entry: JarEntryInfo}>}
+   * Promise to receive the jar and the entry inside it. Rejects if no module
+   * jar contains the file.
+   */
+  function findJarEntry(modInfo, trace, directories) {
+    const moduleName = modInfo.name,
+          fullModulePath = modInfo.fullPath;
+
+    if (!moduleName) {
+      return Promise.reject(new Error('could not find module'));
+    }
+
+    const profiles = getProfiles(moduleName);
+
+    function doResolve(modulePath, niagaraHome) {
+      let foundDir;
+
+      return (function fromProfile(i) {
+        if (i >= profiles.length) {
+          return foundDir ? Promise.resolve(foundDir) : Promise.reject(
+            new Error('could not find ' + fullModulePath + ' in any JAR module'));
+        }
+
+        const jarPath = getJarPath(moduleName, profiles[i], niagaraHome),
+              candidate = {
+                source: 'jar',
+                path: jarPath,
+                entryName: modulePath,
+                profile: profiles[i]
+              };
+
+        return getJarIndex(jarPath, jarOptions)
+          .then(index => {
+            const entry = findEntry(index, modulePath);
+            if (!entry || (entry.isDirectory && !directories)) {
+              addToTrace(trace, candidate, entry ? 'directory' : 'not in jar');
+              throw new Error('no file ' + modulePath + ' in ' + jarPath);
+            }
+            addToTrace(trace, candidate, 'chosen');
+            const found = { jarPath: jarPath, entryName: entry.entryName, entry: entry };
+            if (entry.isDirectory) {
+              foundDir = foundDir || found;
+              return fromProfile(i + 1);
+            }
+            return found;
+          }, err => {
+            addToTrace(trace, candidate, err.code === 'ENOENT' ? 'missing' : 'unreadable');
+            throw err;
+          })
+          .catch(() => fromProfile(i + 1));
+      }(0));
+    }
+
+    return getModuleHome(moduleName)
+      .then(found => resolveModulePath(modInfo.path,
+        modulePath => doResolve(modulePath, found.niagaraHome)));
+  }
+
+  /**
+   * Find where the file for a URL lives, either in moduledev or inside a
+   * module jar, without extracting anything.
+   *
+   * @private
+   * @param {String} url
+   * @param {Array.<TraceCandidate>} [trace] if given, each candidate tried
+   * will be added to it
+   * @param {Boolean} [quiet] true not to emit a `fallback` event
+   * @returns {Promise.<FileStats>} promise to receive the file location, or
+   * reject if no regular file could be found
+   */
+  function locateFile(url, trace, quiet) {
+    return Promise.try(() => getModuleFileInfo(url, ordOptions))
+      .then(modInfo => {
+        if (typeof modInfo.path !== 'string') {
+          throw new MalformedOrdError('could not resolve ' + url, { ord: url });
+        }
+
+        function fromJar() {
+          if (!quiet) {
+            fallBack(url, modInfo);
+          }
+          return findJarEntry(modInfo, trace)
+            .then(found => ({
+              source: 'jar',
+              path: found.jarPath,
+              entryName: found.entryName,
+              size: found.entry.size,
+              mtime: new Date(found.entry.time)
+            }));
+        }
+
+        return modulePathToModuleDev(modInfo, trace)
+          .then(filePath => fs.statAsync(filePath)
+            .then(stat => {
+              if (!stat.isFile()) {
+                throw new Error(filePath + ' is not a file');
+              }
+              return {
+                source: 'moduledev',
+                path: filePath,
+                size: stat.size,
+                mtime: stat.mtime
+              };
+            }), fromJar);
+      });
+  }
+
+  /**
+   * Find what {@link Resolver#getFilePath} would resolve a URL to, following
+   * the same rules, without extracting anything: a file or directory in
+   * moduledev, else a file previously extracted from the jars if it is still
+   * up to date, else the file or directory in the jars.
+   *
+   * @private
+   * @param {String} url
+   * @param {Array.<TraceCandidate>} trace each candidate tried will be added
+   * to it
+   * @returns {Promise.<{source: string, path: string, entryName: (string|undefined), cached: boolean}>}
+   */
+  function locateFilePath(url, trace) {
+    return Promise.try(() => getModuleFileInfo(url, ordOptions))
+      .then(modInfo => {
+        if (typeof modInfo.path !== 'string') {
+          throw new MalformedOrdError('could not resolve ' + url, { ord: url });
+        }
+
+        const cached = filePathCache[modInfo.fullPath];
+
+        function fromJar() {
+          return findJarEntry(modInfo, trace, true)
+            .then(found => ({
+              source: 'jar',
+              path: found.jarPath,
+              entryName: found.entryName,
+              cached: false
+            }));
+        }
+
+        function fromCache() {
+          if (!cached) {
+            return fromJar();
+          }
+          return isCacheEntryValid(cached)
+            .then(valid => {
+              addToTrace(trace, { source: 'cache', path: cached.path },
+                valid ? 'chosen' : 'stale');
+              return valid ?
+                { source: 'jar', path: cached.path, entryName: undefined, cached: true } :
+                fromJar();
+            });
+        }
+
+        return modulePathToModuleDev(modInfo, trace)
+          .then(filePath => ({
+            source: 'moduledev',
+            path: filePath,
+            entryName: undefined,
+            cached: false
+          }), fromCache);
+      });
+  }
+
+  /**
+   * Find where the file for a URL, or for the first of a list of URLs that
+   * is a regular file, lives. For a list, only the URL that is found emits a
+   * `fallback` event, so probing for variants of a path does not.
+   *
+   * @private
+   * @param {String|Array.<String>} url
+   * @param {Array.<TraceCandidate>} [trace] if given, each candidate tried
+   * will be added to it
+   * @returns {Promise.<FileStats>}
+   */
+  function locate(url, trace) {
+    if (!Array.isArray(url)) {
+      return locateFile(url, trace);
+    }
+
+    return (function fromIndex(i) {
+      if (i >= url.length) {
+        return Promise.reject(new Error("no valid entries in array " + url.join()));
+      }
+
+      return locateFile(url[i], trace, true)
+        .then(stats => {
+          if (stats.source === 'jar') {
+            fallBack(url[i], getModuleFileInfo(url[i], ordOptions));
+          }
+          return stats;
+        }, () => fromIndex(i + 1));
+    }(0));
+  }
+
+  /**
+   * @private
+   * @param {FileStats} stats
+   * @returns {Promise.<Buffer>}
+   */
+  function readContents(stats) {
+    return stats.source === 'jar' ?
+      readFromZip(stats.path, stats.entryName, jarOptions) :
+      fs.readFileAsync(stats.path);
+  }
+
+  /**
+   * Run a lookup, emitting `resolved` or `miss` when done, and if
+   * `config.debug` is set, log every candidate it tried. If the lookup fails,
+   * it rejects with a {@link ModuleDevError} whose code says why, and whose
+   * `candidates` are the candidates tried.
+   *
+   * @private
+   * @param {String|Array.<String>} url
+   * @param {Function} lookup receives the trace array, and returns a Promise
+   * @returns {Promise}
+   */
+  function withTrace(url, lookup) {
+    const trace = [];
+    return Promise.try(() => lookup(trace))
+      .finally(() => {
+        if (debug) {
+          logger.debug(formatTrace(url, trace));
+        }
+      })
+      .then(result => {
+        that.emit('resolved', toResolvedEvent(url, trace));
+        return result;
+      }, err => {
+        const error = toLookupError(url, trace, err);
+        that.emit('miss', { ord: url, error: error });
+        throw error;
+      });
   }
 
-  function urlToFilePath(url) {
-    const modInfo = getModuleFileInfo(url);
+  function urlToFilePath(url, trace) {
+    const modInfo = getModuleFileInfo(url, ordOptions);
+
+    if (typeof modInfo.path !== 'string') {
+      throw new MalformedOrdError('could not resolve ' + url, { ord: url });
+    }
 
-    return modulePathToModuleDev(modInfo)
+    return modulePathToModuleDev(modInfo, trace)
       .catch(function () {
-        return getTmpFileFromModuleInfo(modInfo);
+        fallBack(url, modInfo);
+        return getTmpFileFromModuleInfo(modInfo, trace);
       });
   }
 
-  function arrayToFilePath(arr) {
+  function arrayToFilePath(arr, trace) {
     return (function fromIndex(i) {
       if (i >= arr.length) {
         return Promise.reject(new Error("no valid entries in array " + arr.join()));
       }
       
-      return urlToFilePath(arr[i]).catch(() => fromIndex(i + 1));
+      return Promise.try(() => urlToFilePath(arr[i], trace))
+        .catch(() => fromIndex(i + 1));
     }(0));
   }
 
-  function toFilePath(url) {
+  function toFilePath(url, trace) {
     if (typeof url === 'string') {
-      return urlToFilePath(url);
+      return urlToFilePath(url, trace);
     } else if (Array.isArray(url)) {
-      return arrayToFilePath(url);
+      return arrayToFilePath(url, trace);
     }
+    throw new MalformedOrdError('could not resolve ' + url, { ord: url });
+  }
+
+  /**
+   * @private
+   * @param {String|Array.<String>} url
+   * @returns {Promise.<string>}
+   * @see Resolver#getFilePath
+   */
+  function resolveFilePath(url) {
+    return withTrace(url, trace => toFilePath(url, trace));
   }
 
   /**
@@ -167,94 +864,1476 @@ function Resolver(reg, config) {
    * (in `niagara_home/modules`) and written to a temp file. A path to that
    * temp file will be returned.
    *
-   * If the requested module is not in `moduledev.properties` or
-   * `niagara_home/modules`, an error will be returned.
+   * If the file cannot be found, a {@link ModuleDevError} will be returned:
+   * `MALFORMED_ORD` if the ORD could not be parsed, `MODULE_NOT_FOUND` if the
+   * module is not in `moduledev.properties` or `niagara_home/modules`,
+   * `JAR_UNREADABLE` if a module jar could not be read, `UNSAFE_PATH` if the
+   * file would have been read or extracted outside its source root or the
+   * temp dir, or `FILE_NOT_FOUND`.
    *
-   * @param {String} url A requested ORD to a file, either in `module://` or
-   * `/module/` format.
-   * @param {Function} callback A callback to receive a file path to the
+   * @param {String|Array.<String>} url A requested ORD to a file, either in
+   * `module://` or `/module/` format, or a list of them to try in order.
+   * @param {Function} [callback] A callback to receive a file path to the
    * requested file, or an error if the module or file could not be found.
+   * @returns {Promise.<string>|undefined} If no callback is given, a Promise
+   * to receive the file path
    */
   this.getFilePath = function (url, callback) {
-    toFilePath(url)
-      .then(function (path) {
-        callback(null, path);
-      }, callback);
+    return callbackOrPromise(resolveFilePath(url), callback);
   };
 
   /**
-   * Use this when performing a RequireJS optimization and you need to make use
-   * of JS files in other Niagara modules. One common example is to use
-   * Handlebars and related files in the `js` module to compile Handlebars
-   * templates.
-   * 
-   * If your target is not a `.js` file, explicitly specify the file extension
-   * of the actual file. The file extension will still be stripped out of the
-   * RequireJS config.
+   * Explains how the given ORD or URL is resolved by
+   * {@link Resolver#getFilePath}, listing every candidate that was tried, in
+   * order: the `moduledev.properties` entry, each source directory, each
+   * `.js`/extension-less variant of the path, any previously extracted file,
+   * and each jar. As with `getFilePath`, directories are found too.
    *
-   * @param {object} paths a mapping of RequireJS aliases to `nmodule` module
-   * IDs. Note that the file extension will be removed if present, as per
-   * r.js optimization requirements. See example.
-   * @param {Function} callback A callback to receive an object in which the
-   * RequireJS module IDs have been mapped to file paths.
+   * Nothing is extracted, so this can be called freely to diagnose why a
+   * lookup fails or resolves somewhere unexpected.
+   *
+   * @param {String} url A requested ORD to a file, either in `module://` or
+   * `/module/` format, or an `nmodule/` module ID
+   * @param {Function} [callback] A callback to receive the
+   * {@link Explanation}
+   * @returns {Promise.<Explanation>|undefined} If no callback is given, a
+   * Promise to receive the explanation
    *
    * @example
-   * md.getRequireJsPaths({
-   *   "Handlebars": "nmodule/js/rc/handlebars/handlebars-v4.0.6",
-   *   "hbs": "nmodule/js/rc/require-handlebars-plugin/hbs",
-   *   "underscore": "nmodule/js/rc/underscore/underscore",
-   *   "myTemplate": "nmodule/myModule/rc/myTemplate.hbs"
-   * }, function (paths) {
-   *   _.extend(rjsConfig.paths, paths);
-   *   continueRjsOptimization(rjsConfig);
-   * });
+   * md.explain('module://bajaScript/rc/virt.js')
+   *   .then(explanation => explanation.candidates.forEach(c =>
+   *     console.log(c.outcome, c.source, c.path)));
    */
-  this.getRequireJsPaths = function (paths, callback) {
-    const result = {};
-    Promise.all(Object.keys(paths).map(function (alias) {
-      return toFilePath(paths[alias])
-        .then(function (path) {
-          result[alias] = stripExtension(path);
-        });
-    }))
-      .then(function () {
-        callback(null, result);
-      }, callback);
+  this.explain = function (url, callback) {
+    const trace = [];
+
+    return callbackOrPromise(locateFilePath(url, trace)
+      .catch(err => { throw toLookupError(url, trace, err); })
+      .then(found => ({
+        ord: url,
+        found: true,
+        source: found.source,
+        path: found.path,
+        entryName: found.entryName,
+        cached: found.cached,
+        candidates: trace
+      }), err => ({
+        ord: url,
+        found: false,
+        code: err.code,
+        error: err.message,
+        candidates: trace
+      })), callback);
   };
-}
 
-function getModuleName(modInfo) {
-  let moduleName = modInfo.name,
-      isTestModule = moduleName.match(TEST_REGEX);
-  if (isTestModule) {
-    return moduleName.replace(TEST_REGEX, '');
-  } else {
-    return moduleName;
-  }
-}
+  /**
+   * Forgets about files previously extracted from jars, and deletes them
+   * from the temp directory, or from `config.cacheDir`. They will be
+   * extracted again when next requested.
+   *
+   * Extracted files are automatically refreshed when their jars change, so
+   * this is only needed to free up disk space or to force a refresh.
+   *
+   * @param {String} [moduleName] only clear files extracted from this module
+   * @param {Function} [callback] A callback to be called when the files have
+   * been deleted, or with a `MALFORMED_ORD` error if the module name is not
+   * valid
+   * @returns {Promise|undefined} If no callback is given, a Promise to be
+   * resolved when the files have been deleted
+   */
+  this.clearCache = function (moduleName, callback) {
+    if (typeof moduleName === 'function') {
+      callback = moduleName;
+      moduleName = undefined;
+    }
 
-function getSrcFolder(modInfo) {
-  return modInfo.name.match(TEST_REGEX) ? 'srcTest' : 'src';
-}
+    if (moduleName !== undefined && moduleName !== null && !isModuleName(moduleName)) {
+      return callbackOrPromise(Promise.reject(new MalformedOrdError(
+        'invalid module name ' + moduleName, { module: moduleName })), callback);
+    }
 
-function stripExtension(filePath) {
-  return filePath.replace(/\.\w+$/, '');
-}
+    const moduleNames = {};
 
-function resolveModulePath(modulePath, doResolve) {
-  //try and resolve without .js first
-  if (modulePath.match(/\.js$/)) {
-    return doResolve(stripExtension(modulePath))
-      .catch(function () {
-        return doResolve(modulePath);
-      });
-  } else {
+    if (moduleName) {
+      moduleNames[moduleName] = true;
+    }
+
+    Object.keys(filePathCache).forEach(fullModulePath => {
+      const name = fullModulePath.substring(0, fullModulePath.indexOf('/'));
+      if (!moduleName || name === moduleName) {
+        moduleNames[name] = true;
+        delete filePathCache[fullModulePath];
+      }
+    });
+
+    //don't create a temp dir just to find nothing in it
+    const rootDir = extractRoot || (cacheDir ? getExtractRoot() : null);
+
+    return callbackOrPromise(Promise.resolve(rootDir)
+      .then(dir => dir && Promise.all(Object.keys(moduleNames)
+        .map(name => removeModuleCacheDirs(dir, name))))
+      .then(() => {}), callback);
+  };
+
+  /**
+   * Releases everything this resolver holds: stops watching
+   * `moduledev.properties`, forgets about extracted files, and deletes the
+   * temp dir they were extracted to. Call this when done with the resolver,
+   * rather than waiting for the process to exit.
+   *
+   * Files extracted to `config.cacheDir` are left there for other processes
+   * to reuse. Call {@link Resolver#clearCache} first to delete them too. Any
+   * eviction still running in the background is waited for.
+   *
+   * The resolver can still be used afterwards, and will extract to a new
+   * temp dir.
+   *
+   * @param {Function} [callback] A callback to be called when the files have
+   * been deleted
+   * @returns {Promise|undefined} If no callback is given, a Promise to be
+   * resolved when the files have been deleted
+   */
+  this.dispose = function (callback) {
+    const tmpDir = cacheDir ? null : extractRoot;
+
+    that.unwatch();
+    Object.keys(filePathCache).forEach(fullModulePath => {
+      delete filePathCache[fullModulePath];
+    });
+    extractRoot = null;
+
+    return callbackOrPromise(evicting
+      .then(() => tmpDir)
+      .then(dir => dir && removeTmpDir(dir))
+      .then(() => {}), callback);
+  };
+
+  /**
+   * Lists all files matching a glob pattern, in every runtime profile
+   * directory of the module's moduledev source folder and in every runtime
+   * profile jar of the module in `niagara_home/modules`.
+   *
+   * The same file may be present in more than one place; every match is
+   * returned, ordered by runtime profile with moduledev before jars.
+   *
+   * As when reading a file, symlinks that lead out of the source folder are
+   * not followed unless `config.allowSymlinks` is set.
+   *
+   * @param {String} pattern `module://` ORD or `/module/` URL whose path
+   * may contain `*`, `**`, `?`, `[...]` and `{a,b}` wildcards
+   * @param {Function} [callback] A callback to receive an array of
+   * {@link ModuleFile}s
+   * @returns {Promise.<Array.<ModuleFile>>|undefined} If no callback is
+   * given, a Promise to receive the matching files, or reject with
+   * `MALFORMED_ORD` if the pattern could not be parsed
+   *
+   * @example
+   * md.listFiles('module://bajaScript/rc/**\/*.js')
+   *   .then(files => files.map(file => file.ord));
+   */
+  this.listFiles = function (pattern, callback) {
+    return callbackOrPromise(Promise.try(() => {
+      //? is a wildcard, not a query string
+      const modInfo = getModuleFileInfo(pattern, { query: false });
+
+      if (typeof modInfo.path !== 'string') {
+        throw new MalformedOrdError('could not parse ' + pattern, { ord: pattern });
+      }
+
+      const roots = getModuleDevRoots(modInfo),
+            regex = toGlobRegExp(pattern, modInfo.path),
+            base = getGlobBase(modInfo.path);
+
+      function toModuleFile(filePath, profile, source, location) {
+        return {
+          ord: 'module://' + modInfo.name + '/' + filePath,
+          path: filePath,
+          profile: profile.replace(/^-/, ''),
+          source: source,
+          location: location
+        };
+      }
+
+      function fromModuleDev(root) {
+        const srcDir = root.dir,
+              isSafe = filePath => confine(srcDir, filePath).then(() => true, () => false);
+
+        //as when reading a file, nothing outside the source root is listed
+        return (base ? confine(srcDir, path.join(srcDir, base)) : Promise.resolve(srcDir))
+          .then(dir => listFilesInDir(dir, isSafe), () => [])
+          .then(files => files
+            .map(file => base ? base + '/' + file : file)
+            .filter(file => regex.test(file))
+            .sort()
+            .map(file => toModuleFile(file, root.profile || '', 'moduledev',
+              path.join(srcDir, file))));
+      }
+
+      function rootsForProfile(profile) {
+        return roots.filter(root => root.profile === profile);
+      }
+
+      function fromJar(profile, niagaraHome) {
+        const jarPath = getJarPath(modInfo.name, profile, niagaraHome);
+        return getJarIndex(jarPath, jarOptions)
+          .then(index => Object.keys(index.entries)
+            .map(key => index.entries[key])
+            .filter(entry => !entry.isDirectory && regex.test(entry.entryName))
+            .map(entry => entry.entryName)
+            .sort()
+            .map(file => toModuleFile(file, profile, 'jar', jarPath)), () => []);
+      }
+
+      return getModuleHome(modInfo.name)
+        .then(found => {
+          //roots with no profile subfolder come first, then each profile in turn
+          const lists = rootsForProfile(null).map(fromModuleDev);
+
+          getProfiles(modInfo.name).forEach(profile => {
+            lists.push.apply(lists, rootsForProfile(profile).map(fromModuleDev));
+            lists.push(fromJar(profile, found.niagaraHome));
+          });
+
+          return Promise.all(lists);
+        })
+        .then(results => [].concat.apply([], results));
+    }), callback);
+  };
+
+  /**
+   * Reads the metadata for each runtime profile of a module from its
+   * `META-INF/module.xml`.
+   *
+   * For modules in `moduledev.properties`, `module.xml` will be looked for at
+   * `META-INF/module.xml` or `build/META-INF/module.xml` in each runtime
+   * profile directory. Those are the directories named by the `{profile}`
+   * part of the module's source roots; a single-profile module, whose roots
+   * have no `{profile}`, keeps its `module.xml` in the module directory, and
+   * it counts for the profile its `runtimeProfile` names. If not found there,
+   * it will be read from the module's jars in `niagara_home/modules`.
+   *
+   * @param {String} moduleName Niagara module name, e.g. `bajaScript`
+   * @param {Function} [callback] A callback to receive the {@link ModuleInfo},
+   * or a `MODULE_NOT_FOUND` error if the module does not exist, a
+   * `FILE_NOT_FOUND` error if no `module.xml` could be found for any runtime
+   * profile, or a `MALFORMED_ORD` error if the module name is not valid
+   * @returns {Promise.<ModuleInfo>|undefined} If no callback is given, a
+   * Promise to receive the module info
+   *
+   * @example
+   * md.getModuleInfo('bajaScript')
+   *   .then(info => info.profiles.forEach(p => console.log(p.name, p.vendorVersion)));
+   */
+  this.getModuleInfo = function (moduleName, callback) {
+    function fromModuleDev(profile) {
+      const layout = layouts[moduleName];
+
+      if (!layout) {
+        return Promise.reject(new Error('module ' + moduleName + ' not present in moduledev'));
+      }
+
+      //a single-profile module's directory has the module.xml of whichever
+      //profile it declares
+      const runtimeProfile = profile.replace(/^-/, ''),
+            dirs = getProfileDirs(layout, moduleName, getProfiles(moduleName))
+              .filter(dir => dir.profile === profile || dir.profile === null),
+            candidates = [];
+
+      dirs.forEach(dir => MODULE_DEV_XML_PATHS.forEach(xmlPath => candidates.push({
+        path: path.join(dir.dir, xmlPath),
+        anyProfile: dir.profile === null
+      })));
+
+      return (function fromPath(i) {
+        if (i >= candidates.length) {
+          return Promise.reject(new Error('could not find module.xml for ' +
+            moduleName + profile + ' in moduledev'));
+        }
+
+        const filePath = candidates[i].path;
+        return fs.readFileAsync(filePath)
+          .then(data => toProfileInfo(profile, 'moduledev', filePath, data))
+          .then(info => {
+            if (candidates[i].anyProfile && (info.runtimeProfile || '') !== runtimeProfile) {
+              throw new Error(filePath + ' is not for profile ' + profile);
+            }
+            return info;
+          })
+          .catch(() => fromPath(i + 1));
+      }(0));
+    }
+
+    function fromJar(profile, niagaraHome) {
+      const jarPath = getJarPath(moduleName, profile, niagaraHome);
+      return readFromZip(jarPath, MODULE_XML_PATH, jarOptions)
+        .then(data => toProfileInfo(profile, 'jar', jarPath, data));
+    }
+
+    return callbackOrPromise(Promise.try(() => {
+      if (!isModuleName(moduleName)) {
+        throw new MalformedOrdError('invalid module name ' + moduleName,
+          { module: moduleName });
+      }
+      return getModuleHome(moduleName);
+    })
+      .then(found => Promise.all(getProfiles(moduleName).map(profile => {
+        return fromModuleDev(profile)
+          .catch(() => fromJar(profile, found.niagaraHome))
+          .catch(() => null);
+      })))
+      .then(results => {
+        const found = results.filter(result => result);
+        if (found.length) {
+          return { name: moduleName, profiles: found };
+        }
+        return isModulePresent(moduleName)
+          .then(present => {
+            const details = { module: moduleName };
+            throw present ?
+              new FileNotFoundError('could not find ' + MODULE_XML_PATH +
+                ' for module ' + moduleName, details) :
+              new ModuleNotFoundError('could not find module ' + moduleName, details);
+          });
+      }), callback);
+  };
+
+  /**
+   * Builds the graph of all modules that the given modules depend on,
+   * directly or transitively, as declared in the `META-INF/module.xml` of
+   * each of their runtime profiles. See {@link Resolver#getModuleInfo}.
+   *
+   * Dependencies on other runtime profiles of the same module are ignored.
+   *
+   * @param {String|Array.<String>} rootModules Niagara module names to start
+   * from
+   * @param {Function} [callback] A callback to receive the
+   * {@link DependencyGraph}, or a `MALFORMED_ORD` error if a module name is
+   * not valid. Dependencies whose names are not valid are left out.
+   * @returns {Promise.<DependencyGraph>|undefined} If no callback is given, a
+   * Promise to receive the dependency graph
+   *
+   * @example
+   * md.getDependencyGraph([ 'myModule' ])
+   *   .then(graph => {
+   *     if (graph.missing.length) {
+   *       throw new Error('not installed: ' + graph.missing.join());
+   *     }
+   *   });
+   */
+  this.getDependencyGraph = function (rootModules, callback) {
+    const roots = [].concat(rootModules),
+          modules = {},
+          visited = Object.create(null);
+
+    //whoever visits a module first waits for it, so waiting on the roots
+    //waits for everything - and cycles can't deadlock
+    function visit(name) {
+      if (visited[name]) {
+        return Promise.resolve();
+      }
+
+      visited[name] = true;
+
+      return Promise.all([
+        isModulePresent(name),
+        Promise.resolve(that.getModuleInfo(name)).catch(() => null)
+      ])
+        .spread((present, info) => {
+          const dependencies = info ? getDependencyNames(name, info, knownProfiles) : [];
+
+          modules[name] = {
+            name: name,
+            present: present,
+            profiles: info ? info.profiles.map(p => p.profile) : [],
+            dependencies: dependencies
+          };
+
+          return Promise.all(dependencies.map(visit));
+        });
+    }
+
+    return callbackOrPromise(Promise.try(() => {
+      roots.forEach(name => {
+        if (!isModuleName(name)) {
+          throw new MalformedOrdError('invalid module name ' + name, { module: name });
+        }
+      });
+      return Promise.all(roots.map(visit));
+    })
+      .then(() => {
+        const result = walkGraph(roots, modules);
+        return {
+          roots: roots,
+          modules: modules,
+          order: result.order,
+          missing: Object.keys(modules).filter(name => !modules[name].present).sort(),
+          cycles: result.cycles
+        };
+      }), callback);
+  };
+
+  /**
+   * Lists all modules known to this resolver: the ones configured in
+   * `moduledev.properties`, along with any module jars found in
+   * `niagara_home/modules`. Each listing reports which properties file and
+   * which `niagara_home` the module came from.
+   *
+   * @param {Function} [callback] A callback to receive an array of
+   * {@link ModuleListing}s, sorted by module name
+   * @returns {Promise.<Array.<ModuleListing>>|undefined} If no callback is
+   * given, a Promise to receive the module listings
+   */
+  this.listModules = function (callback) {
+    const modules = {};
+
+    function getListing(name) {
+      return modules[name] || (modules[name] = { name: name, jars: [] });
+    }
+
+    Object.keys(layouts).forEach(name => {
+      const listing = getListing(name);
+      listing.moduleDev = layouts[name].dir;
+      if (layouts[name].propertiesFile) {
+        listing.propertiesFile = layouts[name].propertiesFile;
+      }
+    });
+
+    return callbackOrPromise(Promise.all(niagaraHomes.map(readJarNames))
+      .then(results => {
+        results.forEach((jarNames, i) => {
+          const byModule = {};
+
+          jarNames.forEach(jarName => {
+            const name = stripRuntimeProfile(jarName.replace(/\.jar$/, ''), knownProfiles);
+            (byModule[name] = byModule[name] || []).push(jarName);
+          });
+
+          //as with file lookups, the first niagara_home with the module wins
+          Object.keys(byModule).forEach(name => {
+            const listing = getListing(name);
+            if (!listing.niagaraHome) {
+              listing.niagaraHome = niagaraHomes[i];
+              listing.jars = byModule[name];
+            }
+          });
+        });
+
+        return Object.keys(modules).sort().map(name => modules[name]);
+      }), callback);
+  };
+
+  /**
+   * Reads the contents of the file for the given ORD or URL.
+   *
+   * Unlike {@link Resolver#getFilePath}, files inside jars in
+   * `niagara_home/modules` will be read directly from the jar, without
+   * extracting them to a temp file.
+   *
+   * @param {String|Array.<String>} url A requested ORD to a file, either in
+   * `module://` or `/module/` format, or an `nmodule/` module ID, or a list of
+   * them to try in order
+   * @param {Function} [callback] A callback to receive a Buffer containing
+   * the file contents, or an error if the file could not be found
+   * @returns {Promise.<Buffer>|undefined} If no callback is given, a Promise
+   * to receive the file contents
+   */
+  this.readFile = function (url, callback) {
+    return callbackOrPromise(withTrace(url, trace => locate(url, trace))
+      .then(readContents), callback);
+  };
+
+  /**
+   * Creates a readable stream of the file for the given ORD or URL.
+   *
+   * As with {@link Resolver#readFile}, files inside jars in
+   * `niagara_home/modules` are read directly from the jar, and no temp files
+   * are written. If the file cannot be found, the stream will emit an
+   * `error` event.
+   *
+   * The {@link FileStats} from {@link Resolver#stat} may be passed instead of
+   * a URL, to stream the file that was found without looking it up again.
+   *
+   * @param {String|Array.<String>|FileStats} url A requested ORD to a file,
+   * either in `module://` or `/module/` format, or an `nmodule/` module ID, or
+   * a list of them to try in order, or the stats of a file that was already
+   * found
+   * @returns {stream.Readable}
+   *
+   * @example
+   * md.createReadStream('/module/myModule/rc/myModule.js')
+   *   .on('error', err => console.error(err))
+   *   .pipe(res);
+   */
+  this.createReadStream = function (url) {
+    const out = new stream.PassThrough(),
+          located = isFileStats(url) ? Promise.resolve(url) :
+            withTrace(url, trace => locate(url, trace));
+
+    located
+      .then(stats => {
+        if (stats.source === 'jar') {
+          return readContents(stats).then(data => out.end(data));
+        }
+        fs.createReadStream(stats.path)
+          .on('error', err => out.emit('error', err))
+          .pipe(out);
+      })
+      .catch(err => out.emit('error', err));
+
+    return out;
+  };
+
+  /**
+   * Finds the file for the given ORD or URL and gets its size and modified
+   * time, without reading or extracting it.
+   *
+   * @param {String|Array.<String>} url A requested ORD to a file, either in
+   * `module://` or `/module/` format, or an `nmodule/` module ID, or a list of
+   * them to try in order
+   * @param {Function} [callback] A callback to receive the
+   * {@link FileStats}, or an error if no regular file could be found
+   * @returns {Promise.<FileStats>|undefined} If no callback is given, a
+   * Promise to receive the file stats
+   */
+  this.stat = function (url, callback) {
+    return callbackOrPromise(withTrace(url, trace => locate(url, trace)), callback);
+  };
+
+  /**
+   * Resolves the lexicon of a module: the key/value map behind `lex!`
+   * RequireJS dependencies. These files are merged, with later files
+   * winning:
+   *
+   * 1. the module's default lexicon, `<module>.lexicon`, found in moduledev
+   *    or the module jars just like any other file in the module
+   * 2. the base language lexicon in the module, `lexicon/<lang>/<module>.lexicon`,
+   *    e.g. `lexicon/fr/bajaScript.lexicon` for `fr-CA`
+   * 3. the base language override, `niagara_home/lexicon/<lang>/<module>.lexicon`,
+   *    with earlier `niagara_home`s winning
+   * 4. the same for the regional language, e.g. `lexicon/fr_CA/...`
+   *
+   * Lexicon values are always strings.
+   *
+   * @param {String} moduleName Niagara module name, e.g. `bajaScript`
+   * @param {String} [lang] language tag, e.g. `fr` or `fr-CA`. The region may
+   * also be separated with `_`, which is how the lexicon directories are
+   * named. If omitted, only the default lexicon is read.
+   * @param {Function} [callback] A callback to receive the merged lexicon,
+   * or a `MODULE_NOT_FOUND` error if the module does not exist, a
+   * `FILE_NOT_FOUND` error if it has no lexicon for the language at all, or a
+   * `MALFORMED_ORD` error if the module name or language is not valid
+   * @returns {Promise.<Object.<string, String>>|undefined} If no callback is
+   * given, a Promise to receive the merged lexicon
+   *
+   * @example
+   * md.getLexicon('bajaScript', 'fr-CA')
+   *   .then(lex => console.log(lex.hello));
+   */
+  this.getLexicon = function (moduleName, lang, callback) {
+    if (typeof lang === 'function') {
+      return that.getLexicon(moduleName, undefined, lang);
+    }
+
+    if (!isModuleName(moduleName) || (lang && !LANG_REGEX.test(lang))) {
+      return callbackOrPromise(Promise.reject(new MalformedOrdError('invalid module ' +
+        moduleName + ' or language ' + lang, { module: moduleName })), callback);
+    }
+
+    const fileName = moduleName + '.lexicon';
+
+    function fromModule(modulePath) {
+      const url = 'module://' + moduleName + '/' + modulePath,
+            trace = [];
+
+      return locateFile(url, trace, true)
+        .then(readContents)
+        .catch(err => {
+          const error = toLookupError(url, trace, err);
+          if (MISSING_CODES.indexOf(error.code) < 0) {
+            throw error;
+          }
+          return null;
+        });
+    }
+
+    function fromNiagaraHomes(langDir) {
+      //reversed, so the first niagara_home is merged last and wins
+      return Promise.all(niagaraHomes.slice().reverse().map(niagaraHome =>
+        fs.readFileAsync(path.join(niagaraHome, 'lexicon', langDir, fileName))
+          .catch(err => {
+            if (err.code !== 'ENOENT') {
+              throw err;
+            }
+            return null;
+          })));
+    }
+
+    return callbackOrPromise(isModulePresent(moduleName)
+      .then(present => {
+        if (!present) {
+          throw new ModuleNotFoundError('could not find module ' + moduleName,
+            { module: moduleName });
+        }
+
+        return Promise.all([ fromModule(fileName) ].concat(
+          getLexiconLanguages(lang).map(langDir => Promise.all([
+            fromModule('lexicon/' + langDir + '/' + fileName),
+            fromNiagaraHomes(langDir)
+          ]))));
+      })
+      .then(results => {
+        const files = flatten(results).filter(data => data);
+
+        if (!files.length) {
+          throw new FileNotFoundError('could not find a lexicon for module ' +
+            moduleName + (lang ? ' in language ' + lang : ''), { module: moduleName });
+        }
+
+        return files.reduce((lexicon, data) =>
+          Object.assign(lexicon, parseStringProperties(data)), {});
+      }), callback);
+  };
+
+  /**
+   * Re-reads `moduledev.properties` and swaps in the new module registry.
+   * Lookups already in progress will complete using the old registry.
+   *
+   * If any modules were added, removed or repointed, a `change` event will be
+   * emitted with the {@link RegistryChanges}.
+   *
+   * @param {Function} [callback] A callback to receive the
+   * {@link RegistryChanges}, or an error if the file could not be read
+   * @returns {Promise.<RegistryChanges>|undefined} If no callback is given, a
+   * Promise to receive the changes
+   */
+  this.reload = function (callback) {
+    if (!propertiesFiles.length) {
+      return callbackOrPromise(Promise.reject(new ConfigError(
+        'resolver was not created from a properties file')), callback);
+    }
+
+    //reloads happen in order, so a slow read can't clobber a newer one
+    const reload = reloading.then(() => readPropertiesFiles(propertiesFiles))
+      .then(newRegs => {
+        const newLayouts = toModuleLayouts(newRegs, propertiesFiles),
+              changes = diffRegistries(layouts, newLayouts);
+        layouts = newLayouts;
+        if (hasChanges(changes)) {
+          that.emit('change', changes);
+        }
+        return changes;
+      });
+
+    reloading = reload.catch(() => {});
+
+    return callbackOrPromise(reload, callback);
+  };
+
+  /**
+   * Starts watching `moduledev.properties`, and calls
+   * {@link Resolver#reload} whenever it changes.
+   *
+   * The watcher will not keep the Node process alive on its own.
+   */
+  this.watch = function () {
+    if (!propertiesFiles.length) {
+      throw new ConfigError('resolver was not created from a properties file');
+    }
+
+    if (watcher) {
+      return;
+    }
+
+    watcher = function (curr, prev) {
+      if (curr.mtime.getTime() === prev.mtime.getTime()) {
+        return;
+      }
+
+      that.reload()
+        .catch(err => {
+          logger.warn('Could not reload ' + propertiesFiles.join(', ') + '. ' +
+            'Keeping previous moduledev configuration. ' + err);
+        });
+    };
+
+    propertiesFiles.forEach(propertiesFile => fs.watchFile(propertiesFile,
+      { interval: watchInterval, persistent: false }, watcher));
+  };
+
+  /**
+   * Stops watching `moduledev.properties`.
+   */
+  this.unwatch = function () {
+    if (watcher) {
+      propertiesFiles.forEach(propertiesFile =>
+        fs.unwatchFile(propertiesFile, watcher));
+      watcher = null;
+    }
+  };
+
+  /**
+   * @private
+   * @param {String} moduleName
+   * @returns {Promise.<boolean>} true if the module is in
+   * `moduledev.properties` or has any jars in `niagara_home/modules`
+   */
+  function isModulePresent(moduleName) {
+    if (layouts[moduleName]) {
+      return Promise.resolve(true);
+    }
+
+    const profiles = getProfiles(moduleName);
+
+    return Promise.all(niagaraHomes.map(niagaraHome =>
+      Promise.all(profiles.map(profile =>
+        getJarIdentity(getJarPath(moduleName, profile, niagaraHome))))))
+      .then(results => results.some(identities =>
+        identities.some(identity => identity)));
+  }
+
+  /**
+   * Use this when performing a RequireJS optimization and you need to make use
+   * of JS files in other Niagara modules. One common example is to use
+   * Handlebars and related files in the `js` module to compile Handlebars
+   * templates.
+   * 
+   * If your target is not a `.js` file, either prefix it with its RequireJS
+   * plugin, e.g. `hbs!nmodule/myModule/rc/myTemplate` or `css!...`, to use
+   * the plugin's default extension, or explicitly specify the file extension
+   * of the actual file. The file extension will still be stripped out of the
+   * RequireJS config.
+   *
+   * @param {object} paths a mapping of RequireJS aliases to `nmodule` module
+   * IDs, optionally plugin-prefixed. Note that the file extension will be
+   * removed if present, as per r.js optimization requirements. See example.
+   * @param {Function} [callback] A callback to receive an object in which the
+   * RequireJS module IDs have been mapped to file paths.
+   * @returns {Promise.<object>|undefined} If no callback is given, a Promise
+   * to receive the mapped paths
+   *
+   * @example
+   * md.getRequireJsPaths({
+   *   "Handlebars": "nmodule/js/rc/handlebars/handlebars-v4.0.6",
+   *   "hbs": "nmodule/js/rc/require-handlebars-plugin/hbs",
+   *   "underscore": "nmodule/js/rc/underscore/underscore",
+   *   "myTemplate": "hbs!nmodule/myModule/rc/myTemplate",
+   *   "myData": "text!nmodule/myModule/rc/myData.json"
+   * }, function (err, paths) {
+   *   _.extend(rjsConfig.paths, paths);
+   *   continueRjsOptimization(rjsConfig);
+   * });
+   *
+   * @example
+   * const paths = await md.getRequireJsPaths({
+   *   "underscore": "nmodule/js/rc/underscore/underscore"
+   * });
+   */
+  this.getRequireJsPaths = function (paths, callback) {
+    const result = {};
+    return callbackOrPromise(Promise.all(Object.keys(paths).map(function (alias) {
+      return resolveFilePath(paths[alias])
+        .then(function (path) {
+          result[alias] = stripExtension(path);
+        });
+    }))
+      .then(() => result), callback);
+  };
+
+  /**
+   * Generates the complete RequireJS `paths` config for an r.js
+   * optimization, by scanning the `define()`/`require()` dependencies of the
+   * given entry modules and following every `nmodule/` ID they depend on,
+   * transitively, through moduledev and `niagara_home/modules`.
+   *
+   * Plugin-prefixed dependencies such as `hbs!nmodule/myModule/rc/template`
+   * are mapped to the plugin resource (e.g. `template.hbs`). Dependencies
+   * that are not `nmodule/` IDs (e.g. `jquery`) are left for you to
+   * configure, but relative dependencies of your own entry files will be
+   * followed to find the `nmodule/` IDs they use.
+   *
+   * @param {String|Array.<String>} entries `nmodule/` IDs or paths to your
+   * own JS files to start from
+   * @param {Function} [callback] A callback to receive an object mapping each
+   * `nmodule/` ID to a file path, with the file extension removed as per
+   * r.js requirements. Receives an error if any `nmodule/` dependency could
+   * not be found, a `FILE_NOT_FOUND` error if a file could not be read, or
+   * a `MALFORMED_ORD` error if an entry is not a string.
+   * @returns {Promise.<object>|undefined} If no callback is given, a Promise
+   * to receive the paths
+   *
+   * @example
+   * md.generateRequireJsPaths([ 'src/rc/myModule.js' ])
+   *   .then(paths => {
+   *     _.extend(rjsConfig.paths, paths);
+   *     continueRjsOptimization(rjsConfig);
+   *   });
+   */
+  this.generateRequireJsPaths = function (entries, callback) {
+    const paths = {},
+          visited = {};
+
+    //whoever visits a file first waits for it, so cycles can't deadlock
+    function once(key, fn) {
+      if (visited[key]) {
+        return Promise.resolve();
+      }
+      visited[key] = true;
+      return fn();
+    }
+
+    function scan(data, parentId, parentFile) {
+      return Promise.all(findDependencies(data)
+        .map(id => visitDependency(id, parentId, parentFile)));
+    }
+
+    function visitDependency(id, parentId, parentFile) {
+      const parsed = parseId(id, pluginExtensions),
+            visits = [];
+
+      if (parsed.plugin) {
+        visits.push(visitDependency(parsed.plugin, parentId, parentFile));
+      }
+
+      if (parentId) {
+        visits.push(visitModule(resolveRelativeId(parsed.id, parentId), parsed));
+      } else if (parsed.id.match(/^\.\.?\//) && !parsed.plugin) {
+        visits.push(visitFile(path.resolve(path.dirname(parentFile), parsed.id)));
+      } else {
+        visits.push(visitModule(parsed.id, parsed));
+      }
+
+      return Promise.all(visits);
+    }
+
+    function visitModule(id, parsed) {
+      //lex! resources are lexicons, not files
+      if (!id.match(/^nmodule\//) || parsed.extension === null) {
+        return Promise.resolve();
+      }
+
+      const isResource = !!parsed.plugin,
+            key = isResource ? stripExtension(id) : id,
+            request = isResource ? parsed.plugin + '!' + id : id;
+
+      return once('nmodule:' + key, () => resolveFilePath(request)
+        .then(filePath => {
+          paths[key] = stripExtension(filePath);
+
+          if (isResource) {
+            return;
+          }
+
+          return fs.statAsync(filePath)
+            .then(stat => stat.isFile() && fs.readFileAsync(filePath))
+            .catch(err => { throw toFileError(filePath, err); })
+            .then(data => data && scan(data, id));
+        }, err => {
+          err.message = 'could not resolve RequireJS dependency ' + request +
+            ': ' + err.message;
+          throw err;
+        }));
+    }
+
+    function visitFile(filePath) {
+      if (!path.extname(filePath)) {
+        filePath += '.js';
+      }
+
+      return once('file:' + filePath, () => fs.readFileAsync(filePath)
+        .catch(err => { throw toFileError(filePath, err); })
+        .then(data => scan(data, null, filePath)));
+    }
+
+    return callbackOrPromise(Promise.try(() => Promise.all([].concat(entries).map(entry => {
+      if (typeof entry !== 'string') {
+        throw new MalformedOrdError('entry must be an nmodule/ ID or a file path: ' +
+          entry, { ord: entry });
+      }
+      return entry.match(/^nmodule\//) ?
+        visitModule(entry, {}) :
+        visitFile(path.resolve(entry));
+    })))
+      .then(() => paths), callback);
+  };
+
+  if (config && config.watch && propertiesFiles.length) {
+    this.watch();
+  }
+}
+
+util.inherits(Resolver, EventEmitter);
+
+/**
+ * Emitted when {@link Resolver#reload} finds that `moduledev.properties` has
+ * changed.
+ *
+ * @event Resolver#change
+ * @type {RegistryChanges}
+ */
+
+/**
+ * Emitted when a file is found by {@link Resolver#getFilePath},
+ * {@link Resolver#readFile}, {@link Resolver#createReadStream},
+ * {@link Resolver#stat} or the RequireJS path methods.
+ *
+ * @event Resolver#resolved
+ * @type {ResolvedEvent}
+ */
+
+/**
+ * Emitted when a module is in `moduledev.properties`, but the requested file
+ * was not found in its source directories, so the module's jars are searched
+ * instead. Modules that are not in `moduledev.properties` go straight to
+ * their jars, and do not emit this event. When {@link Resolver#stat},
+ * {@link Resolver#readFile} or {@link Resolver#createReadStream} is given a
+ * list of ORDs, it is only emitted for the one found in a jar.
+ *
+ * @event Resolver#fallback
+ * @type {Object}
+ * @property {String|Array.<String>} ord the ORD or URL requested
+ * @property {String} module the module name
+ */
+
+/**
+ * Emitted when a file could not be found.
+ *
+ * @event Resolver#miss
+ * @type {Object}
+ * @property {String|Array.<String>} ord the ORD or URL requested
+ * @property {ModuleDevError} error why the file could not be found
+ */
+
+/**
+ * Emitted when {@link Resolver#getFilePath} extracts a file or directory
+ * from a module jar to the temp directory. Files that were already extracted
+ * and are still up to date are not extracted again.
+ *
+ * @event Resolver#extracted
+ * @type {Object}
+ * @property {String} module the module name
+ * @property {String} entryName path of the file inside the module
+ * @property {String} jarPath the jar it was extracted from. For a directory,
+ * the first of the jars it was extracted from.
+ * @property {String} path path to the extracted file or directory
+ */
+
+/**
+ * @param {String} [lang] e.g. `fr-CA`
+ * @returns {Array.<String>} lexicon directory names to merge, base language
+ * first, e.g. `['fr', 'fr_CA']`
+ */
+function getLexiconLanguages(lang) {
+  if (!lang) {
+    return [];
+  }
+
+  const parts = lang.split(/[-_]/),
+        langDir = parts.join('_');
+
+  return parts.length > 1 ? [ parts[0], langDir ] : [ langDir ];
+}
+
+function flatten(arr) {
+  return arr.reduce((result, item) =>
+    result.concat(Array.isArray(item) ? flatten(item) : item), []);
+}
+
+function getModuleName(modInfo) {
+  let moduleName = modInfo.name,
+      isTestModule = moduleName.match(TEST_REGEX);
+  if (isTestModule) {
+    return moduleName.replace(TEST_REGEX, '');
+  } else {
+    return moduleName;
+  }
+}
+
+function stripExtension(filePath) {
+  return filePath.replace(/\.\w+$/, '');
+}
+
+function resolveModulePath(modulePath, doResolve) {
+  //try and resolve without .js first
+  if (modulePath.match(/\.js$/)) {
+    return doResolve(stripExtension(modulePath))
+      .catch(function () {
+        return doResolve(modulePath);
+      });
+  } else {
     return doResolve(modulePath);
   }
 }
 
+function diffRegistries(oldLayouts, newLayouts) {
+  const changes = { added: [], removed: [], repointed: [] };
+
+  Object.keys(newLayouts).forEach(name => {
+    if (!Object.prototype.hasOwnProperty.call(oldLayouts, name)) {
+      changes.added.push(name);
+    } else if (!isSameLayout(oldLayouts[name], newLayouts[name])) {
+      changes.repointed.push(name);
+    }
+  });
+
+  Object.keys(oldLayouts).forEach(name => {
+    if (!Object.prototype.hasOwnProperty.call(newLayouts, name)) {
+      changes.removed.push(name);
+    }
+  });
+
+  return changes;
+}
+
+function hasChanges(changes) {
+  return !!(changes.added.length || changes.removed.length ||
+    changes.repointed.length);
+}
+
+function toProfileInfo(profile, source, filePath, data) {
+  const xml = parseModuleXml(String(data)),
+        attributes = xml.attributes;
+
+  return {
+    profile: profile.replace(/^-/, ''),
+    source: source,
+    path: filePath,
+    name: attributes.name,
+    runtimeProfile: attributes.runtimeProfile,
+    vendor: attributes.vendor,
+    vendorVersion: attributes.vendorVersion,
+    description: attributes.description,
+    attributes: attributes,
+    dependencies: xml.dependencies
+  };
+}
+
+function getDependencyNames(moduleName, info, profiles) {
+  const names = [];
+
+  info.profiles.forEach(profile => {
+    profile.dependencies.forEach(dependency => {
+      const name = dependency.name && stripRuntimeProfile(dependency.name, profiles);
+      //module.xml is not trusted to name a path
+      if (isModuleName(name) && name !== moduleName && names.indexOf(name) < 0) {
+        names.push(name);
+      }
+    });
+  });
+
+  return names.sort();
+}
+
+/**
+ * @param {*} name
+ * @returns {Boolean} true if this is a valid Niagara module name, which is
+ * safe to use in a file path
+ */
+function isModuleName(name) {
+  return typeof name === 'string' && MODULE_NAME_REGEX.test(name);
+}
+
+/**
+ * Depth-first walk of the dependency graph, to find cycles and the order in
+ * which the modules depend on each other.
+ *
+ * @param {Array.<String>} roots
+ * @param {Object.<String, DependencyGraphNode>} modules
+ * @returns {{ order: Array.<String>, cycles: Array.<Array.<String>> }}
+ */
+function walkGraph(roots, modules) {
+  const order = [],
+        cycles = [],
+        cycleKeys = {},
+        done = {},
+        stack = [];
+
+  (function walk(names) {
+    names.forEach(name => {
+      if (done[name]) {
+        return;
+      }
+
+      const index = stack.indexOf(name);
+      if (index >= 0) {
+        const cycle = stack.slice(index),
+              key = rotateToLowest(cycle).join();
+        if (!cycleKeys[key]) {
+          cycleKeys[key] = true;
+          cycles.push(cycle.concat(name));
+        }
+        return;
+      }
+
+      stack.push(name);
+      walk(modules[name].dependencies);
+      stack.pop();
+      done[name] = true;
+      order.push(name);
+    });
+  }(roots));
+
+  return { order: order, cycles: cycles };
+}
+
+function rotateToLowest(cycle) {
+  const lowest = cycle.indexOf(cycle.slice().sort()[0]);
+  return cycle.slice(lowest).concat(cycle.slice(0, lowest));
+}
+
+/**
+ * @param {Array.<String>|Object.<string, Array.<String>>} [profiles]
+ * `config.profiles`
+ * @returns {Object.<string, Array.<String>>} runtime profile suffixes keyed
+ * by module name, with the suffixes for all other modules under `*`
+ */
+function toProfilesByModule(profiles) {
+  //no prototype, so a module named e.g. constructor has no profiles of its own
+  const byModule = Object.create(null);
+
+  if (Array.isArray(profiles)) {
+    byModule['*'] = profiles.map(toProfileSuffix);
+  } else if (profiles) {
+    Object.keys(profiles).forEach(name => {
+      byModule[name] = profiles[name].map(toProfileSuffix);
+    });
+  }
+
+  byModule['*'] = byModule['*'] || DEFAULT_PROFILES;
+  return byModule;
+}
+
+/**
+ * @param {String} profile e.g. `ux` or `-ux`
+ * @returns {String} e.g. `-ux`
+ */
+function toProfileSuffix(profile) {
+  return !profile || profile[0] === '-' ? profile : '-' + profile;
+}
+
+/**
+ * @param {Object.<string, Array.<String>>} profilesByModule
+ * @returns {Array.<String>} every runtime profile suffix that a jar name may
+ * end with, longest first
+ */
+function getKnownProfiles(profilesByModule) {
+  const known = DEFAULT_PROFILES.slice();
+
+  Object.keys(profilesByModule).forEach(name => {
+    profilesByModule[name].forEach(profile => {
+      if (known.indexOf(profile) < 0) {
+        known.push(profile);
+      }
+    });
+  });
+
+  return known.sort((a, b) => b.length - a.length);
+}
+
+/**
+ * @param {String} name module part name, e.g. `bajaScript-ux`
+ * @param {Array.<String>} profiles runtime profile suffixes, longest first
+ * @returns {String} module name, e.g. `bajaScript`
+ */
+function stripRuntimeProfile(name, profiles) {
+  for (let i = 0; i < profiles.length; i++) {
+    let profile = profiles[i];
+    if (profile && name.endsWith(profile)) {
+      return name.substring(0, name.length - profile.length);
+    }
+  }
+  return name;
+}
+
+function readJarNames(niagaraHome) {
+  if (!niagaraHome) {
+    return Promise.resolve([]);
+  }
+
+  return fs.readdirAsync(path.join(niagaraHome, 'modules'))
+    .then(fileNames => fileNames.filter(fileName => fileName.match(/\.jar$/)))
+    .catch(() => []);
+}
+
+/**
+ * An extracted file is only still good if it exists, and all jars that were
+ * consulted to extract it are unchanged.
+ */
+function isCacheEntryValid(entry) {
+  const jars = entry.jars;
+  return Promise.all([ fs.accessAsync(entry.path).then(() => true, () => false) ]
+    .concat(Object.keys(jars).map(jarPath => getJarIdentity(jarPath)
+      .then(identity => isSameIdentity(identity, jars[jarPath])))))
+    .then(results => results.every(Boolean));
+}
+
+function isSameIdentity(a, b) {
+  return a === b || !!(a && b && a.size === b.size && a.mtime === b.mtime);
+}
+
+/**
+ * @param {Array.<TraceCandidate>} [trace]
+ * @param {Object} candidate
+ * @param {String} [outcome]
+ */
+function addToTrace(trace, candidate, outcome) {
+  if (trace) {
+    trace.push(outcome ? Object.assign({}, candidate, { outcome: outcome }) : candidate);
+  }
+}
+
+/**
+ * @param {String|Array.<String>} url
+ * @param {Array.<TraceCandidate>} trace candidates tried by a successful
+ * lookup
+ * @returns {ResolvedEvent}
+ */
+function toResolvedEvent(url, trace) {
+  const chosen = trace.filter(c => c.outcome === 'chosen')[0] || {};
+
+  return {
+    ord: url,
+    source: chosen.source === 'moduledev' ? 'moduledev' : 'jar',
+    path: chosen.path,
+    entryName: chosen.entryName,
+    cached: chosen.source === 'cache'
+  };
+}
+
+/**
+ * Work out why a lookup failed from the candidates it tried.
+ *
+ * @param {String|Array.<String>} url
+ * @param {Array.<TraceCandidate>} trace
+ * @param {Error} err the error the lookup failed with
+ * @returns {ModuleDevError} `err` if it is already a `ModuleDevError`;
+ * otherwise `UNSAFE_PATH` if any candidate was refused as unsafe,
+ * `JAR_UNREADABLE` if any jar could not be read, `MODULE_NOT_FOUND`
+ * if the module is neither in the registry nor in any jar, or
+ * `FILE_NOT_FOUND`
+ */
+function toLookupError(url, trace, err) {
+  if (err instanceof ModuleDevError) {
+    err.candidates = err.candidates || trace;
+    return err;
+  }
+
+  const details = { ord: url, candidates: trace },
+        unsafe = trace.filter(c => c.outcome === 'unsafe'),
+        unreadable = trace.filter(c => c.source === 'jar' && c.outcome === 'unreadable'),
+        hasModule = trace.some(c =>
+          (c.source === 'registry' && c.outcome === 'found') ||
+          (c.source === 'jar' && c.outcome !== 'missing'));
+
+  if (unsafe.length) {
+    return new UnsafePathError('refused unsafe ' + unsafe[0].path +
+      (unsafe[0].entryName ? '!/' + unsafe[0].entryName : '') + ' to resolve ' + url, details);
+  }
+
+  if (unreadable.length) {
+    return new JarUnreadableError('could not read ' + unreadable[0].path +
+      ' to resolve ' + url, details);
+  }
+
+  if (!hasModule) {
+    return new ModuleNotFoundError('could not find module for ' + url, details);
+  }
+
+  return new FileNotFoundError('could not find ' + url, details);
+}
+
+/**
+ * @param {*} obj
+ * @returns {Boolean} true if this is a {@link FileStats} rather than a URL
+ */
+function isFileStats(obj) {
+  return !!obj && typeof obj === 'object' && !Array.isArray(obj) &&
+    typeof obj.source === 'string' && typeof obj.path === 'string';
+}
+
+/**
+ * @param {String} pattern the `listFiles` pattern, for error messages
+ * @param {String} glob the path part of the pattern
+ * @returns {RegExp}
+ * @throws {MalformedOrdError} if the glob is invalid, e.g. has an unclosed `{`
+ */
+function toGlobRegExp(pattern, glob) {
+  try {
+    return globToRegExp(glob);
+  } catch (err) {
+    throw new MalformedOrdError('invalid pattern ' + pattern + ': ' + err.message,
+      { ord: pattern });
+  }
+}
+
+/**
+ * @param {String} filePath
+ * @param {Error} err an fs error from reading the file
+ * @returns {ModuleDevError} a `FileNotFoundError` for the file
+ */
+function toFileError(filePath, err) {
+  return new FileNotFoundError('could not read ' + filePath + ': ' + err.message,
+    { path: filePath });
+}
+
+/**
+ * @param {String|Array.<String>} url
+ * @param {Array.<TraceCandidate>} trace
+ * @returns {String} one line per candidate, for debug logging
+ */
+function formatTrace(url, trace) {
+  return [ 'niagara-moduledev: resolving ' + url ].concat(trace.map(candidate => {
+    let location = candidate.source === 'registry' ?
+      candidate.module + (candidate.path ? '=' + candidate.path : '') :
+      candidate.path + (candidate.entryName ? '!/' + candidate.entryName : '');
+    return '  ' + candidate.outcome + ': ' + candidate.source + ' ' + location;
+  })).join('\n');
+}
+
 function verifyFileIsReadable(filePath) {
   return fs.accessAsync(filePath, fs.constants.R_OK).then(() => filePath);
 }
 
+/**
+ * @typedef {Object} TraceCandidate
+ * @property {String} source `registry` for the `moduledev.properties`
+ * entry, `moduledev` for a source directory, `jar` for a module jar, or
+ * `cache` for a previously extracted file
+ * @property {String} outcome `found` or `missing` for a registry entry;
+ * otherwise `missing`, `unreadable`, `unsafe`, `not in jar`, `directory`,
+ * `stale` or `chosen`
+ * @property {String} [module] module name looked up in the registry
+ * @property {String} [path] path to the file, directory or jar tried
+ * @property {String} [entryName] path to the file inside the jar
+ * @property {String|null} [profile] runtime profile suffix, e.g. `-ux`
+ */
+
+/**
+ * @typedef {Object} ResolvedEvent
+ * @property {String|Array.<String>} ord the ORD or URL requested
+ * @property {String} source `moduledev` or `jar`
+ * @property {String} path path to the file in moduledev, to the jar that
+ * contains it, or to the file previously extracted from the jar
+ * @property {String} [entryName] name of the entry inside the jar
+ * @property {Boolean} cached true if a previously extracted file was used
+ */
+
+/**
+ * @typedef {Object} Logger
+ * @property {Function} [debug] receives debug messages, such as the
+ * candidates logged when `config.debug` is set
+ * @property {Function} [info]
+ * @property {Function} [warn] receives warnings, such as a failure to reload
+ * a watched properties file
+ * @property {Function} [error]
+ */
+
+/**
+ * @typedef {Object} Explanation
+ * @property {String} ord the ORD or URL that was explained
+ * @property {Boolean} found true if a file was found
+ * @property {String} [source] `moduledev` or `jar`, if found
+ * @property {String} [path] path to the file in moduledev, to the jar that
+ * contains it, or to the file previously extracted from the jar, if found
+ * @property {String} [entryName] name of the entry inside the jar
+ * @property {Boolean} [cached] true if a previously extracted file would be
+ * used, if found
+ * @property {String} [code] the {@link ModuleDevError} code, if not found
+ * @property {String} [error] why no file was found
+ * @property {Array.<TraceCandidate>} candidates every candidate tried, in
+ * order
+ */
+
+/**
+ * @typedef {Object} RegistryChanges
+ * @property {Array.<String>} added modules newly added to
+ * `moduledev.properties`
+ * @property {Array.<String>} removed modules no longer in
+ * `moduledev.properties`
+ * @property {Array.<String>} repointed modules whose source directory or
+ * source roots have changed
+ */
+
+/**
+ * @typedef {Object} ModuleInfo
+ * @property {String} name Niagara module name
+ * @property {Array.<ModuleProfileInfo>} profiles info for each runtime
+ * profile of the module that was found, in runtime profile order
+ */
+
+/**
+ * @typedef {Object} ModuleProfileInfo
+ * @property {String} profile runtime profile suffix without the dash, e.g.
+ * `ux`, or an empty string for a module with no runtime profile
+ * @property {String} source `moduledev` or `jar`
+ * @property {String} path path to the `module.xml` file, or to the jar it was
+ * read from
+ * @property {String} [name] module part name, e.g. `bajaScript-ux`
+ * @property {String} [runtimeProfile] declared runtime profile
+ * @property {String} [vendor]
+ * @property {String} [vendorVersion]
+ * @property {String} [description]
+ * @property {Object.<String, String>} attributes all attributes of the
+ * `<module>` element
+ * @property {Array.<Object.<String, String>>} dependencies attributes of each
+ * declared `<dependency>`, e.g. `name`, `vendor` and `vendorVersion`
+ */
+
+/**
+ * @typedef {Object} DependencyGraph
+ * @property {Array.<String>} roots the modules the graph was built from
+ * @property {Object.<String, DependencyGraphNode>} modules every module in
+ * the transitive closure of the root modules, keyed by module name
+ * @property {Array.<String>} order module names ordered so that each module
+ * comes after its dependencies (except where there are cycles)
+ * @property {Array.<String>} missing modules that are in neither
+ * `moduledev.properties` nor `niagara_home/modules`
+ * @property {Array.<Array.<String>>} cycles each dependency cycle found, as
+ * a path that starts and ends with the same module
+ */
+
+/**
+ * @typedef {Object} DependencyGraphNode
+ * @property {String} name Niagara module name
+ * @property {Boolean} present false if the module is in neither
+ * `moduledev.properties` nor `niagara_home/modules`
+ * @property {Array.<String>} profiles runtime profiles whose `module.xml`
+ * was found. If empty, the module's dependencies could not be determined.
+ * @property {Array.<String>} dependencies names of the modules this module
+ * directly depends on
+ */
+
+/**
+ * @typedef {Object} ModuleFile
+ * @property {String} ord `module://` ORD of the file
+ * @property {String} path path of the file inside the module
+ * @property {String} profile runtime profile suffix without the dash, e.g.
+ * `ux`, or an empty string for a module with no runtime profile
+ * @property {String} source `moduledev` or `jar`
+ * @property {String} location path to the file in moduledev, or to the jar
+ * that contains it
+ */
+
+/**
+ * @typedef {Object} FileStats
+ * @property {String} source `moduledev` or `jar`
+ * @property {String} path path to the file in moduledev, or to the jar that
+ * contains it
+ * @property {String} [entryName] name of the entry inside the jar
+ * @property {Number} size size of the file in bytes
+ * @property {Date} mtime modified time of the file
+ */
+
+/**
+ * @typedef {Object} ModuleListing
+ * @property {String} name Niagara module name
+ * @property {String} [moduleDev] source directory for this module, if
+ * configured in `moduledev.properties`
+ * @property {String} [propertiesFile] the properties file that configured
+ * `moduleDev`, when the resolver was created from one or more files
+ * @property {Array.<String>} jars file names of this module's jars in
+ * `niagara_home/modules`
+ * @property {String} [niagaraHome] the `niagara_home` the jars are read
+ * from, if any were found
+ */
+
 module.exports = Resolver;
\ No newline at end of file
@@ -0,0 +1,208 @@
+'use strict';
+
+const Promise = require('bluebird'),
+      fs = Promise.promisifyAll(require('fs-extra')),
+      path = require('path'),
+      moduledev = require('./moduledev'),
+      niagaraUtils = require('./util/niagara'),
+
+      getNiagaraHome = niagaraUtils.getNiagaraHome,
+
+      USAGE = [
+        'Usage: niagara-moduledev [options] <command> [args]',
+        '',
+        'Commands:',
+        '  resolve <ord>         print the path to the file for an ORD, ' +
+          '/module/ URL or nmodule ID',
+        '  cat <ord>             print the contents of the file',
+        '  extract <ord> <dest>  copy a file or directory to <dest>',
+        '  modules               list modules in moduledev.properties and ' +
+          'niagara_home/modules',
+        '',
+        'Options:',
+        '  --niagara-home <dir>  niagara_home directory ' +
+          '(default: $niagara_home)',
+        '  --properties <file>   path to moduledev.properties ' +
+          '(default: $niagara_home/etc/moduledev.properties)',
+        '  -h, --help            show this message',
+        ''
+      ].join('\n'),
+
+      OPTIONS = {
+        '--niagara-home': 'niagaraHome',
+        '--properties': 'properties'
+      },
+
+      COMMANDS = {
+        resolve: { args: 1, run: resolve },
+        cat: { args: 1, run: cat },
+        extract: { args: 2, run: extract },
+        modules: { args: 0, run: modules }
+      };
+
+/**
+ * @private
+ * @typedef {Object} CliIO
+ * @property {stream.Writable} stdout
+ * @property {stream.Writable} stderr
+ */
+
+/**
+ * Parses the command line arguments.
+ *
+ * @private
+ * @param {Array.<String>} args command line arguments, not including `node`
+ * and the script name
+ * @returns {Object} parsed options, with `command` and `args` properties
+ * @throws {Error} if an unknown option is given or an option value is missing
+ */
+function parseArgs(args) {
+  const result = { args: [] };
+
+  for (let i = 0; i < args.length; i++) {
+    let arg = args[i],
+        eq = arg.indexOf('='),
+        name = eq > 0 ? arg.substring(0, eq) : arg;
+
+    if (arg === '-h' || arg === '--help') {
+      result.help = true;
+    } else if (OPTIONS[name]) {
+      let value = eq > 0 ? arg.substring(eq + 1) : args[++i];
+      if (!value) {
+        throw new Error('missing value for ' + name);
+      }
+      result[OPTIONS[name]] = value;
+    } else if (arg.match(/^--?\w/)) {
+      throw new Error('unknown option ' + arg);
+    } else if (!result.command) {
+      result.command = arg;
+    } else {
+      result.args.push(arg);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * @private
+ * @param {Object} opts parsed command line options
+ * @returns {Promise.<Resolver>}
+ */
+function getResolver(opts) {
+  const config = { niagaraHome: opts.niagaraHome || getNiagaraHome() },
+        fileName = opts.properties || moduledev.getDefaultFilePath(config);
+
+  if (!config.niagaraHome) {
+    return Promise.reject(new Error('niagara_home could not be determined. ' +
+      'Set $niagara_home or use --niagara-home.'));
+  }
+
+  return fs.accessAsync(fileName, fs.constants.R_OK)
+    .then(() => moduledev.fromFile(fileName, config), () => {
+      if (opts.properties) {
+        throw new Error('cannot read properties file at ' + fileName);
+      }
+      //no moduledev.properties is fine, just resolve from jars
+      return new moduledev.ModuleDev({}, config);
+    });
+}
+
+function resolve(md, args, io) {
+  return md.getFilePath(args[0])
+    .then(filePath => { io.stdout.write(filePath + '\n'); });
+}
+
+function cat(md, args, io) {
+  return md.getFilePath(args[0])
+    .then(filePath => {
+      return fs.statAsync(filePath)
+        .then(stat => {
+          if (stat.isDirectory()) {
+            throw new Error(args[0] + ' is a directory');
+          }
+          return fs.readFileAsync(filePath);
+        });
+    })
+    .then(data => { io.stdout.write(data); });
+}
+
+function extract(md, args, io) {
+  let dest = path.resolve(args[1]);
+
+  return md.getFilePath(args[0])
+    .then(filePath => {
+      return Promise.all([ fs.statAsync(filePath), isDirectory(dest) ])
+        .spread((stat, destIsDirectory) => {
+          //copying a single file into an existing directory
+          if (!stat.isDirectory() && destIsDirectory) {
+            dest = path.join(dest, path.basename(filePath));
+          }
+          return fs.copyAsync(filePath, dest);
+        });
+    })
+    .then(() => { io.stdout.write(dest + '\n'); });
+}
+
+function modules(md, args, io) {
+  return md.listModules()
+    .then(listings => {
+      listings.forEach(listing => {
+        io.stdout.write([
+          listing.name,
+          listing.moduleDev || '-',
+          listing.jars.join(',') || '-'
+        ].join('\t') + '\n');
+      });
+    });
+}
+
+function isDirectory(filePath) {
+  return fs.statAsync(filePath)
+    .then(stat => stat.isDirectory(), () => false);
+}
+
+/**
+ * Runs the `niagara-moduledev` command line tool.
+ *
+ * @private
+ * @param {Array.<String>} args command line arguments, not including `node`
+ * and the script name
+ * @param {CliIO} [io] streams to write output to
+ * @returns {Promise.<Number>} promise to receive the exit code
+ */
+function run(args, io) {
+  io = io || { stdout: process.stdout, stderr: process.stderr };
+
+  let opts;
+
+  try {
+    opts = parseArgs(args);
+  } catch (err) {
+    io.stderr.write(err.message + '\n\n' + USAGE);
+    return Promise.resolve(2);
+  }
+
+  if (opts.help) {
+    io.stdout.write(USAGE);
+    return Promise.resolve(0);
+  }
+
+  const command = COMMANDS[opts.command];
+
+  if (!command || opts.args.length !== command.args) {
+    io.stderr.write(USAGE);
+    return Promise.resolve(2);
+  }
+
+  return getResolver(opts)
+    .then(md => command.run(md, opts.args, io))
+    .then(() => 0, err => {
+      io.stderr.write('niagara-moduledev: ' + (err.message || err) + '\n');
+      return 1;
+    });
+}
+
+module.exports = {
+  run: run
+};
@@ -0,0 +1,96 @@
+'use strict';
+
+const util = require('util');
+
+/**
+ * Base class for all errors reported by niagara-moduledev. Each subclass has
+ * a stable `code` that can be checked instead of parsing the message, e.g. to
+ * map lookup failures to HTTP statuses.
+ *
+ * @param {String} message
+ * @param {String} code
+ * @param {Object} [details] additional properties to set on the error, e.g.
+ * `ord`, `module`, `path` or `candidates`
+ * @constructor
+ * @extends Error
+ */
+function ModuleDevError(message, code, details) {
+  Error.call(this, message);
+  Error.captureStackTrace(this, this.constructor);
+  this.message = message;
+  this.code = code;
+  Object.assign(this, details);
+}
+util.inherits(ModuleDevError, Error);
+ModuleDevError.prototype.name = 'ModuleDevError';
+
+function defineError(name, code) {
+  function CodedError(message, details) {
+    ModuleDevError.call(this, message, code, details);
+  }
+  util.inherits(CodedError, ModuleDevError);
+  CodedError.prototype.name = name;
+  CodedError.code = code;
+  return CodedError;
+}
+
+module.exports = {
+  ModuleDevError: ModuleDevError,
+
+  /**
+   * `MALFORMED_ORD`: the request is not a valid `module://` ORD, `/module/`
+   * URL or `nmodule/` ID, or its path climbs out of the module with `..`.
+   * @constructor
+   * @extends ModuleDevError
+   */
+  MalformedOrdError: defineError('MalformedOrdError', 'MALFORMED_ORD'),
+
+  /**
+   * `MODULE_NOT_FOUND`: the module is not in `moduledev.properties`, and has
+   * no jars in `niagara_home/modules`.
+   * @constructor
+   * @extends ModuleDevError
+   */
+  ModuleNotFoundError: defineError('ModuleNotFoundError', 'MODULE_NOT_FOUND'),
+
+  /**
+   * `FILE_NOT_FOUND`: the module was found, but does not contain the file.
+   * Also used for a properties file that does not exist.
+   * @constructor
+   * @extends ModuleDevError
+   */
+  FileNotFoundError: defineError('FileNotFoundError', 'FILE_NOT_FOUND'),
+
+  /**
+   * `JAR_UNREADABLE`: a module jar that might contain the file exists, but
+   * could not be read.
+   * @constructor
+   * @extends ModuleDevError
+   */
+  JarUnreadableError: defineError('JarUnreadableError', 'JAR_UNREADABLE'),
+
+  /**
+   * `UNSAFE_PATH`: a file would have been read or written outside its
+   * module's source root or the temp dir, e.g. a jar entry containing `..`,
+   * or a symlink out of a source root when `config.allowSymlinks` is not set.
+   * @constructor
+   * @extends ModuleDevError
+   */
+  UnsafePathError: defineError('UnsafePathError', 'UNSAFE_PATH'),
+
+  /**
+   * `PROPERTIES_PARSE_ERROR`: a `moduledev.properties` file or string could
+   * not be parsed.
+   * @constructor
+   * @extends ModuleDevError
+   */
+  PropertiesParseError: defineError('PropertiesParseError', 'PROPERTIES_PARSE_ERROR'),
+
+  /**
+   * `INVALID_CONFIG`: required configuration, such as `niagara_home`, is
+   * missing.
+   * @constructor
+   * @extends ModuleDevError
+   */
+  ConfigError: defineError('ConfigError', 'INVALID_CONFIG')
+};
@@ -0,0 +1,117 @@
+'use strict';
+
+const path = require('path'),
+      niagaraUtils = require('./util/niagara'),
+
+      getModuleFileInfo = niagaraUtils.getModuleFileInfo,
+      resolveRelativeOrd = niagaraUtils.resolveRelativeOrd,
+
+      NAMESPACE = 'niagara-module',
+      MODULE_REQUEST_FILTER = /^(nmodule\/|module:\/\/|\/module\/)/,
+      RELATIVE_FILTER = /^\.\.?\//,
+      LOADERS = {
+        '.css': 'css',
+        '.hbs': 'text',
+        '.html': 'text',
+        '.js': 'js',
+        '.json': 'json',
+        '.jsx': 'jsx',
+        '.lexicon': 'text',
+        '.properties': 'text',
+        '.svg': 'text',
+        '.ts': 'ts',
+        '.txt': 'text'
+      };
+
+/**
+ * Creates an esbuild plugin that resolves `nmodule/` module IDs, `module://`
+ * ORDs and `/module/` URLs using the given {@link Resolver}, and loads their
+ * contents directly from moduledev or from the jars in
+ * `niagara_home/modules`. Nothing is extracted to temp files.
+ *
+ * Resolved files are placed in the `niagara-module` namespace, with their
+ * `module://` ORDs as paths. Relative imports from inside them are resolved
+ * against those ORDs.
+ *
+ * @param {Resolver} md the resolver to use to look up files
+ * @param {Object} [options] configuration object
+ * @param {Array.<String>} [options.external] names of Niagara modules (e.g.
+ * `bajaScript`) whose files should be left as external imports
+ * @param {Object.<String, String>} [options.loaders] additional mappings of
+ * file extensions (e.g. `.foo`) to esbuild loaders
+ * @returns {Object} esbuild plugin
+ *
+ * @example
+ * const md = await moduledev.fromFile();
+ * await esbuild.build({
+ *   entryPoints: [ 'src/index.js' ],
+ *   bundle: true,
+ *   plugins: [ moduledev.esbuildPlugin(md, { external: [ 'bajaScript' ] }) ]
+ * });
+ */
+function esbuildPlugin(md, options) {
+  options = options || {};
+
+  const external = options.external || [],
+        loaders = Object.assign({}, LOADERS, options.loaders);
+
+  return {
+    name: 'niagara-moduledev',
+
+    setup: function (build) {
+      build.onResolve({ filter: MODULE_REQUEST_FILTER }, args => {
+        const modInfo = getModuleFileInfo(args.path);
+
+        if (!modInfo.fullPath) {
+          return;
+        }
+
+        if (external.indexOf(modInfo.name) >= 0) {
+          return { path: args.path, external: true };
+        }
+
+        return { path: 'module://' + modInfo.fullPath, namespace: NAMESPACE };
+      });
+
+      build.onResolve({ filter: RELATIVE_FILTER, namespace: NAMESPACE }, args => {
+        const ord = resolveRelativeOrd(args.importer, args.path);
+
+        if (!ord) {
+          return { errors: [ { text: 'cannot resolve ' + args.path +
+            ' outside of its module from ' + args.importer } ] };
+        }
+
+        return { path: ord, namespace: NAMESPACE };
+      });
+
+      build.onLoad({ filter: /.*/, namespace: NAMESPACE }, args => {
+        return md.readFile(args.path)
+          .then(data => ({
+            contents: data,
+            loader: getLoader(loaders, args.path)
+          }), err => ({
+            errors: [ { text: 'could not load ' + args.path + ': ' +
+              (err.message || err) } ]
+          }));
+      });
+    }
+  };
+}
+
+/**
+ * `nmodule/` IDs always get a `.js` extension, so `template.hbs` will be
+ * requested as `template.hbs.js`. Look past it if the real extension is
+ * recognized.
+ */
+function getLoader(loaders, ord) {
+  const ext = path.posix.extname(ord).toLowerCase(),
+        innerExt = path.posix.extname(ord.slice(0, -ext.length)).toLowerCase();
+
+  if (ext === '.js' && innerExt && innerExt !== '.js' && loaders[innerExt]) {
+    return loaders[innerExt];
+  }
+
+  return loaders[ext] || 'file';
+}
+
+module.exports = esbuildPlugin;
@@ -0,0 +1,154 @@
+'use strict';
+
+const fs = require('fs'),
+      temp = require('temp'),
+      middleware = require('./middleware'),
+      Resolver = require('./Resolver'),
+      niagaraUtils = require('./util/niagara'),
+      errors = require('./errors'),
+      readModuleDevProperties = require('./util/properties').readModuleDevProperties,
+
+      getNiagaraHome = niagaraUtils.getNiagaraHome,
+
+      ConfigError = errors.ConfigError,
+
+      NAME = 'niagara-moduledev',
+      DEFAULT_SPEC_PATTERN = 'Spec\\.js$';
+
+/**
+ * @typedef {Object} KarmaOptions
+ * @property {String|Array.<String>} [properties=$niagara_home/etc/moduledev.properties]
+ * path to `moduledev.properties`, or an ordered list of them
+ * @property {String|Array.<String>} [niagaraHome=process.env.niagara_home]
+ * `niagara_home` directory, or an ordered list of them
+ * @property {Object} [middleware] options for the
+ * {@link module:niagara-moduledev.middleware|middleware}
+ * @property {Object|Boolean} [requireJs] set to generate a RequireJS test
+ * bootstrap file, which maps `nmodule/` to `/module/` and loads all specs
+ * before starting Karma. Use this instead of your own `test-main.js`.
+ * @property {String} [requireJs.specPattern='Spec\\.js$'] regular expression
+ * matching the spec files to load
+ * @property {Object} [requireJs.config] additional RequireJS config. `paths`
+ * will be merged with the `nmodule` path.
+ *
+ * Any other {@link Resolver} config, such as `profiles`, `cacheDir`,
+ * `maxCacheSize`, `indexDir`, `logger` or `allowSymlinks`, is passed through
+ * to the resolver.
+ */
+
+/**
+ * Karma framework. Registers the middleware that serves `/module/` requests,
+ * and optionally adds the RequireJS bootstrap file.
+ *
+ * @private
+ * @param {Object} config Karma config
+ */
+function initFramework(config) {
+  const options = config.niagaraModuledev || {};
+
+  config.beforeMiddleware = (config.beforeMiddleware || []).concat(NAME);
+
+  if (options.requireJs) {
+    config.files.push({
+      pattern: writeBootstrap(options.requireJs === true ? {} : options.requireJs),
+      included: true,
+      served: true,
+      watched: false,
+      nocache: true
+    });
+  }
+}
+initFramework.$inject = [ 'config' ];
+
+/**
+ * Karma middleware factory. The resolver is loaded in the background, and
+ * requests wait for it.
+ *
+ * @private
+ * @param {Object} config Karma config
+ * @returns {Function} middleware function
+ */
+function createMiddleware(config) {
+  const options = config.niagaraModuledev || {},
+        niagaraHome = options.niagaraHome || getNiagaraHome(),
+        ready = !niagaraHome ?
+          Promise.reject(new ConfigError('niagara_home could not be determined')) :
+          Promise.resolve(readModuleDevProperties(options.properties, niagaraHome))
+            .then(result => middleware(new Resolver(result.registries,
+              Object.assign({}, options, {
+                niagaraHome: niagaraHome,
+                propertiesFile: result.fileNames
+              })), options.middleware));
+
+  //errors are passed to next() when requests come in
+  ready.catch(() => {});
+
+  return function (req, res, next) {
+    ready.then(mw => mw(req, res, next), next);
+  };
+}
+createMiddleware.$inject = [ 'config' ];
+
+/**
+ * Generate the contents of a RequireJS bootstrap file.
+ *
+ * @private
+ * @param {Object} requireJs options
+ * @returns {String}
+ */
+function getBootstrap(requireJs) {
+  const userConfig = requireJs.config || {},
+        rjsConfig = Object.assign({ baseUrl: '/base' }, userConfig, {
+          paths: Object.assign({ nmodule: '/module' }, userConfig.paths)
+        });
+
+  return [
+    '(function (karma) {',
+    '  \'use strict\';',
+    '  var specPattern = new RegExp(' +
+      JSON.stringify(requireJs.specPattern || DEFAULT_SPEC_PATTERN) + '),',
+    '      baseUrl = ' + JSON.stringify(rjsConfig.baseUrl) + ',',
+    '      specs = [];',
+    '  Object.keys(karma.files).forEach(function (file) {',
+    '    if (specPattern.test(file) && file.indexOf(baseUrl + \'/\') === 0) {',
+    '      specs.push(file.substring(baseUrl.length + 1).replace(/\\.js$/, \'\'));',
+    '    }',
+    '  });',
+    '  require.config(' + JSON.stringify(rjsConfig) + ');',
+    '  require(specs, function () { karma.start(); });',
+    '}(window.__karma__));',
+    ''
+  ].join('\n');
+}
+
+function writeBootstrap(requireJs) {
+  const info = temp.openSync({ prefix: 'niagara-moduledev-karma', suffix: '.js' });
+  fs.writeSync(info.fd, getBootstrap(requireJs));
+  fs.closeSync(info.fd);
+  return info.path;
+}
+
+/**
+ * Karma plugin that serves `/module/` requests from `moduledev.properties`
+ * or `niagara_home/modules`, so `/module/xyz/rc/...` and
+ * `/module/xyzTest/rc/...` can be loaded in test runs without proxies.
+ *
+ * Configure it with a `niagaraModuledev` object; see {@link KarmaOptions}.
+ *
+ * @example
+ * // karma.conf.js
+ * module.exports = function (config) {
+ *   config.set({
+ *     frameworks: [ 'jasmine', 'requirejs', 'niagara-moduledev' ],
+ *     plugins: [ 'karma-*', require('niagara-moduledev').karmaPlugin ],
+ *     files: [ { pattern: 'srcTest/rc/**\/*.js', included: false } ],
+ *     niagaraModuledev: {
+ *       requireJs: { specPattern: 'Spec\\.js$' }
+ *     }
+ *   });
+ * };
+ */
+module.exports = {
+  'framework:niagara-moduledev': [ 'factory', initFramework ],
+  'middleware:niagara-moduledev': [ 'factory', createMiddleware ]
+};
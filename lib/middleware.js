@@ -0,0 +1,166 @@
+'use strict';
+
+const path = require('path'),
+      isModuleRequest = require('./util/niagara').isModuleRequest,
+
+      MODULE_URL_REGEX = /^\/(module|ord)\//, //is this a URL request for /module/ or /ord/?
+      //lookup failures that mean some other middleware may serve the request
+      NOT_FOUND_CODES = [ 'MALFORMED_ORD', 'MODULE_NOT_FOUND', 'FILE_NOT_FOUND' ],
+      DEFAULT_MIME_TYPE = 'application/octet-stream',
+      MIME_TYPES = {
+        '.css': 'text/css; charset=UTF-8',
+        '.eot': 'application/vnd.ms-fontobject',
+        '.gif': 'image/gif',
+        '.hbs': 'text/x-handlebars-template; charset=UTF-8',
+        '.htm': 'text/html; charset=UTF-8',
+        '.html': 'text/html; charset=UTF-8',
+        '.ico': 'image/x-icon',
+        '.jpeg': 'image/jpeg',
+        '.jpg': 'image/jpeg',
+        '.js': 'application/javascript; charset=UTF-8',
+        '.json': 'application/json; charset=UTF-8',
+        '.lexicon': 'text/plain; charset=UTF-8',
+        '.map': 'application/json; charset=UTF-8',
+        '.png': 'image/png',
+        '.properties': 'text/plain; charset=UTF-8',
+        '.svg': 'image/svg+xml',
+        '.ttf': 'font/ttf',
+        '.txt': 'text/plain; charset=UTF-8',
+        '.woff': 'font/woff',
+        '.woff2': 'font/woff2',
+        '.xml': 'application/xml; charset=UTF-8'
+      };
+
+/**
+ * Creates an Express/Connect middleware function that serves `/module/`
+ * requests, and `/ord/` requests for `module://` ORDs, using the given
+ * {@link Resolver}. Paths may be percent-encoded.
+ *
+ * Files inside jars are streamed directly from the jar, so no temp files are
+ * written. Directories, non-`/module/` requests, and files that cannot be
+ * found in `moduledev.properties` or `niagara_home/modules` fall through to
+ * `next()`. Other failures, such as a `JAR_UNREADABLE` error, are passed to
+ * `next(err)`.
+ *
+ * @param {Resolver} md the resolver to use to look up files
+ * @param {Object} [options] configuration object
+ * @param {Object} [options.mimeTypes] additional mappings of file extensions
+ * (e.g. `.foo`) to Content-Type headers
+ * @param {Boolean} [options.etag=true] set false to omit the `ETag` header
+ * @param {Boolean} [options.lastModified=true] set false to omit the
+ * `Last-Modified` header
+ * @param {String} [options.cacheControl] if given, will be sent as the
+ * `Cache-Control` header
+ * @returns {Function} middleware function with signature `(req, res, next)`
+ *
+ * @example
+ * const app = express();
+ * moduledev.fromFile().then(md => app.use(moduledev.middleware(md)));
+ */
+function middleware(md, options) {
+  options = options || {};
+
+  const mimeTypes = Object.assign({}, MIME_TYPES, options.mimeTypes),
+        useEtag = options.etag !== false,
+        useLastModified = options.lastModified !== false;
+
+  function getContentType(urlPath, stat) {
+    return mimeTypes[path.extname(urlPath).toLowerCase()] ||
+      mimeTypes[path.extname(stat.entryName || stat.path).toLowerCase()] ||
+      DEFAULT_MIME_TYPE;
+  }
+
+  function send(req, res, next, urlPath, stat) {
+    const etag = 'W/"' + stat.size.toString(16) + '-' +
+          stat.mtime.getTime().toString(16) + '"',
+          lastModified = stat.mtime.toUTCString();
+
+    res.setHeader('Content-Type', getContentType(urlPath, stat));
+    if (useEtag) { res.setHeader('ETag', etag); }
+    if (useLastModified) { res.setHeader('Last-Modified', lastModified); }
+    if (options.cacheControl) {
+      res.setHeader('Cache-Control', options.cacheControl);
+    }
+
+    if (isNotModified(req, etag, stat.mtime)) {
+      res.statusCode = 304;
+      return res.end();
+    }
+
+    res.statusCode = 200;
+    res.setHeader('Content-Length', stat.size);
+
+    if (req.method === 'HEAD') {
+      return res.end();
+    }
+
+    //stream the file that was found, instead of resolving the URL again
+    md.createReadStream(stat)
+      .on('error', next)
+      .pipe(res);
+  }
+
+  function isNotModified(req, etag, mtime) {
+    const ifNoneMatch = req.headers['if-none-match'],
+          ifModifiedSince = req.headers['if-modified-since'];
+
+    if (ifNoneMatch) {
+      return useEtag && ifNoneMatch.split(/\s*,\s*/)
+        .some(tag => tag === '*' || tag === etag);
+    }
+
+    if (ifModifiedSince && useLastModified) {
+      const since = Date.parse(ifModifiedSince);
+      //HTTP dates only have second precision
+      return !isNaN(since) && Math.floor(mtime.getTime() / 1000) * 1000 <= since;
+    }
+
+    return false;
+  }
+
+  /**
+   * Resolve the URL to a regular file. If there is no file extension, also
+   * try with `.js`, in the same way RequireJS would request it. Both are
+   * tried in one lookup, so the resolver emits one event per request.
+   */
+  function resolveFile(urlPath) {
+    const urls = path.extname(urlPath) ? urlPath : [ urlPath, urlPath + '.js' ];
+
+    return md.stat(urls)
+      .catch(err => {
+        if (NOT_FOUND_CODES.indexOf(err.code) < 0) {
+          throw err;
+        }
+        return null;
+      });
+  }
+
+  return function moduledevMiddleware(req, res, next) {
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      return next();
+    }
+
+    const urlPath = getUrlPath(req);
+
+    if (!urlPath.match(MODULE_URL_REGEX) || !isModuleRequest(urlPath)) {
+      return next();
+    }
+
+    resolveFile(urlPath)
+      .then(stat => {
+        if (!stat) {
+          return next();
+        }
+        send(req, res, next, urlPath, stat);
+      })
+      .catch(next);
+  };
+}
+
+function getUrlPath(req) {
+  //support being mounted at a sub-path in Express
+  const url = req.originalUrl || req.url || '';
+  return url.replace(/[?#].*$/, '');
+}
+
+module.exports = middleware;
@@ -40,31 +40,53 @@ moduledev.fromFile('path/to/moduledev.properties', function (err, md) {
 'use strict';
 
 const Resolver = require('./Resolver'),
+      middleware = require('./middleware'),
+      webpackPlugin = require('./webpack'),
+      rollupPlugin = require('./rollup'),
+      esbuildPlugin = require('./esbuild'),
+      karmaPlugin = require('./karma'),
       niagaraUtils = require('./util/niagara'),
+      errors = require('./errors'),
+      ord = require('./ord'),
       properties = require('properties'),
-      fs = require('fs'),
-      path = require('path'),
   
-      getNiagaraHome = niagaraUtils.getNiagaraHome;
+      callbackOrPromise = require('./util/promise').callbackOrPromise,
+      propertiesUtils = require('./util/properties'),
+      getNiagaraHome = niagaraUtils.getNiagaraHome,
+
+      ConfigError = errors.ConfigError,
+      PropertiesParseError = errors.PropertiesParseError;
 
 /**
  * Parses a raw string (in Java properties format) into a ModuleDev instance.
  *
+ * If no callback is given, a Promise will be returned instead.
+ *
  * @param {String} str Properties string, in the form expected by `moduledev.properties`
  * @param {Object} [config] configuration object
  * @param {String} [config.niagaraHome=process.env.niagara_home] Niagara home
  * directory - look in here for `/modules/`
- * @param {Function} callback Callback to receive {@link Resolver} instance
+ * @param {Logger|null|false} [config.logger=console] where to write log
+ * messages. Pass `null` or `false` to silence them.
+ * @param {Function} [callback] Callback to receive {@link Resolver} instance,
+ * or an `INVALID_CONFIG` error if no string is given, or a
+ * `PROPERTIES_PARSE_ERROR` if it could not be parsed
+ * @returns {Promise.<Resolver>|undefined} Promise to receive the
+ * {@link Resolver} instance, if no callback was given
+ *
+ * @example
+ * const md = await moduledev.fromRawString('bajaScript=d:/niagara/bajaScript');
  */
 exports.fromRawString = function (str, config, callback) {
   //shuffle arguments
-  if (arguments.length === 2) {
+  if (typeof config === 'function') {
     callback = config;
     config = {};
   }
 
   if (!str) {
-    return callback("properties string must be provided");
+    return callbackOrPromise(Promise.reject(
+      new ConfigError("properties string must be provided")), callback);
   }
 
   let reg;
@@ -72,74 +94,229 @@ exports.fromRawString = function (str, config, callback) {
   try {
     reg = properties.parse(str);
   } catch (err) {
-    console.error("Could not parse raw property string " + str + ". " +
-      "No moduledev resolution will occur.");
-    reg = {};
+    return callbackOrPromise(Promise.reject(new PropertiesParseError(
+      "could not parse raw properties string: " + err.message)), callback);
   }
 
-  return callback(null, new Resolver(reg, config));
+  return callbackOrPromise(
+    Promise.resolve(new Resolver(reg, config)), callback);
 };
 
 /**
  * Parses a `moduledev.properties` into a ModuleDev instance.
  *
- * @param {String} [fileName=$niagara_home/etc/moduledev.properties] Path to
- * `moduledev.properties` (or other file inproper format)
+ * If no callback is given, a Promise will be returned instead.
+ *
+ * @param {String|Array.<String>} [fileName=$niagara_home/etc/moduledev.properties]
+ * Path to `moduledev.properties` (or other file inproper format), or an
+ * ordered list of them, e.g. a shared team file then a personal override.
+ * Entries in later files win. Files in the list that do not exist are skipped,
+ * but if none of them exist, a `FILE_NOT_FOUND` error is returned. If no
+ * file name is given and the default file does not exist, the resolver will
+ * only read from `niagara_home/modules`.
  * @param {Object} [config] configuration object
- * @param {String} [config.niagaraHome=process.env.niagara_home] Niagara home
- * directory - look in here for `/modules/`
- * @param {Function} callback Callback to receive
- * {@link module:niagara-moduledev~ModuleDev} instance
+ * @param {String|Array.<String>} [config.niagaraHome=process.env.niagara_home]
+ * Niagara home directory - look in here for `/modules/`. If a list is given,
+ * each module's jars are read from the first one that has any.
+ * @param {Boolean} [config.watch=false] set true to watch the files and
+ * reload the resolver whenever they change. See {@link Resolver#watch}.
+ * @param {Array.<String>|Object.<string, Array.<String>>} [config.profiles]
+ * runtime profile suffixes to search, in order. See {@link Resolver}.
+ * @param {Logger|null|false} [config.logger=console] where to write log
+ * messages. Pass `null` or `false` to silence them.
+ * @param {Function} [callback] Callback to receive
+ * {@link module:niagara-moduledev~ModuleDev} instance, or an error:
+ * `INVALID_CONFIG` if `niagara_home` could not be determined,
+ * `FILE_NOT_FOUND` or `PROPERTIES_PARSE_ERROR`
+ * @returns {Promise.<Resolver>|undefined} Promise to receive the
+ * {@link Resolver} instance, if no callback was given
+ *
+ * @example
+ * const md = await moduledev.fromFile();
+ * const filePath = await md.getFilePath('module://bajaScript/rc/virt.js');
+ *
+ * @example
+ * const md = await moduledev.fromFile([
+ *   'moduledev.properties',
+ *   path.join(os.homedir(), 'moduledev.properties')
+ * ], { niagaraHome: [ 'd:/niagara/dev', 'd:/niagara/4.10' ] });
  */
 exports.fromFile = function(fileName, config, callback) {
+  const isDefault = typeof fileName === 'function' || arguments.length === 0;
+
   //shuffle arguments
-  if (arguments.length === 2) {
-    callback = config;
-    config = {};
-  } else if (arguments.length === 1) {
+  if (typeof fileName === 'function') {
     callback = fileName;
     config = {};
-    fileName = exports.getDefaultFilePath();
-  }
-  
-  if (!fileName) {
-    return callback(new Error("file name must be provided"));
-  }
-  
-  if (!getNiagaraHome(config)) {
-    return callback(new Error("niagara_home could not be determined"));
+  } else if (arguments.length === 0) {
+    config = {};
+  } else if (typeof config === 'function') {
+    callback = config;
+    config = {};
   }
-  
-  fs.readFile(fileName, function (err, data) {
-    if (err) {
-      console.log("File at " + fileName + " could " +
-        "not be loaded. No moduledev resolution will occur.");
-
-      return callback(null, new Resolver({}, config));
-    }
-    
-    properties.parse(String(data), function (err, result) {
-      const reg = err ? {} : result;
-      callback(null, new Resolver(reg, config));
-    });
-  });
+
+  return callbackOrPromise(readFile(fileName, config || {}, isDefault), callback);
 };
 
 /**
  * Get the default file path to `moduledev.properties` at
- * `$niagara_home/etc/moduledev.properties`.
+ * `$niagara_home/etc/moduledev.properties`. If several `niagara_home`
+ * directories are configured, the first one is used.
  * @param {object} [config]
- * @param {string} [config.niagaraHome=process.env.niagara_home] the
- * `niagara_home` path if you already have it
+ * @param {string|Array.<string>} [config.niagaraHome=process.env.niagara_home]
+ * the `niagara_home` path if you already have it
  * @returns {string|null} The default path to `moduledev.properties`, or `null`
  * if it could not be determined
  */
 exports.getDefaultFilePath = function (config) {
   const niagaraHome = getNiagaraHome(config);
   if (niagaraHome) {
-    return path.join(niagaraHome, "etc/moduledev.properties");
+    return propertiesUtils.getDefaultPropertiesFile(niagaraHome);
   }
   return null;
 };
 
+/**
+ * @private
+ * @param {String} fileName
+ * @param {Object} config
+ * @param {Boolean} isDefault true if reading the default file, which need
+ * not exist
+ * @returns {Promise.<Resolver>}
+ */
+function readFile(fileName, config, isDefault) {
+  const niagaraHome = getNiagaraHome(config);
+
+  if (!isDefault && ![].concat(fileName || []).length) {
+    return Promise.reject(new ConfigError("file name must be provided"));
+  }
+
+  if (!niagaraHome) {
+    return Promise.reject(new ConfigError("niagara_home could not be determined"));
+  }
+
+  return propertiesUtils.readModuleDevProperties(isDefault ? null : fileName, niagaraHome)
+    .then(result => new Resolver(result.registries,
+      Object.assign({}, config, { propertiesFile: result.fileNames })));
+}
+
+/**
+ * Creates an Express/Connect middleware function that serves `/module/`
+ * requests from `moduledev.properties` or `niagara_home/modules`.
+ *
+ * @function
+ * @param {Resolver} md the resolver to use to look up files
+ * @param {Object} [options] configuration object
+ * @param {Object} [options.mimeTypes] additional mappings of file extensions
+ * to Content-Type headers
+ * @param {Boolean} [options.etag=true] set false to omit the `ETag` header
+ * @param {Boolean} [options.lastModified=true] set false to omit the
+ * `Last-Modified` header
+ * @param {String} [options.cacheControl] `Cache-Control` header to send
+ * @returns {Function} middleware function
+ *
+ * @example
+ * moduledev.fromFile(function (err, md) {
+ *   app.use(moduledev.middleware(md, { cacheControl: 'no-cache' }));
+ * });
+ */
+exports.middleware = middleware;
+
+/**
+ * Creates a webpack resolve plugin that resolves `nmodule/` module IDs and
+ * `module://` ORDs from `moduledev.properties` or `niagara_home/modules`.
+ *
+ * @function
+ * @param {Resolver} md the resolver to use to look up files
+ * @param {Object} [options] configuration object
+ * @param {String} [options.source='described-resolve'] the resolver hook to
+ * tap into
+ * @param {String} [options.target='resolve'] the resolver hook to pass the
+ * resolved file path on to
+ * @returns {Object} webpack resolve plugin
+ *
+ * @example
+ * module.exports = moduledev.fromFile().then(md => ({
+ *   resolve: { plugins: [ moduledev.webpackPlugin(md) ] }
+ * }));
+ */
+exports.webpackPlugin = webpackPlugin;
+
+/**
+ * Creates a Rollup plugin that resolves `nmodule/` module IDs and
+ * `module://` ORDs, and loads their contents directly from moduledev or
+ * `niagara_home/modules`.
+ *
+ * @function
+ * @param {Resolver} md the resolver to use to look up files
+ * @param {Object} [options] configuration object
+ * @param {Array.<String>} [options.external] names of Niagara modules whose
+ * files should be left as external imports
+ * @returns {Object} Rollup plugin
+ */
+exports.rollupPlugin = rollupPlugin;
+
+/**
+ * Creates an esbuild plugin that resolves `nmodule/` module IDs and
+ * `module://` ORDs, and loads their contents directly from moduledev or
+ * `niagara_home/modules`.
+ *
+ * @function
+ * @param {Resolver} md the resolver to use to look up files
+ * @param {Object} [options] configuration object
+ * @param {Array.<String>} [options.external] names of Niagara modules whose
+ * files should be left as external imports
+ * @param {Object.<String, String>} [options.loaders] additional mappings of
+ * file extensions to esbuild loaders
+ * @returns {Object} esbuild plugin
+ */
+exports.esbuildPlugin = esbuildPlugin;
+
+/**
+ * Karma plugin that serves `/module/` requests in test runs, and can
+ * generate a RequireJS test bootstrap config. Add it to `plugins` and
+ * `frameworks` in your Karma config, and configure it with a
+ * `niagaraModuledev` object.
+ *
+ * @type {Object}
+ *
+ * @example
+ * config.set({
+ *   frameworks: [ 'jasmine', 'requirejs', 'niagara-moduledev' ],
+ *   plugins: [ 'karma-*', moduledev.karmaPlugin ],
+ *   niagaraModuledev: { requireJs: true }
+ * });
+ */
+exports.karmaPlugin = karmaPlugin;
+
 exports.ModuleDev = Resolver;
+
+/**
+ * Parses and formats module requests: `/module/` URLs, `module://` ORDs
+ * (including ORD chains such as `local:|module://...`), `/ord/` URLs and
+ * `nmodule/` module IDs.
+ *
+ * @type {{parse: Function, format: Function}}
+ *
+ * @example
+ * moduledev.ord.parse('/module/bajaScript/rc/virt.js?v=42').path; //'rc/virt.js'
+ * moduledev.ord.format('/module/bajaScript/rc/virt.js', 'nmodule'); //'nmodule/bajaScript/rc/virt'
+ */
+exports.ord = ord;
+
+/**
+ * Error classes for the failures reported by this module. Each has a stable
+ * `code` property: `MALFORMED_ORD`, `MODULE_NOT_FOUND`, `FILE_NOT_FOUND`,
+ * `JAR_UNREADABLE`, `UNSAFE_PATH`, `PROPERTIES_PARSE_ERROR` or
+ * `INVALID_CONFIG`.
+ *
+ * @type {Object.<String, Function>}
+ *
+ * @example
+ * md.getFilePath(ord)
+ *   .catch(err => {
+ *     if (err.code === 'MODULE_NOT_FOUND') { return null; }
+ *     throw err;
+ *   });
+ */
+exports.errors = errors;
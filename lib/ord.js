@@ -0,0 +1,251 @@
+'use strict';
+
+const MalformedOrdError = require('./errors').MalformedOrdError,
+      amd = require('./util/amd'),
+
+      getPluginExtension = amd.getPluginExtension,
+      parseId = amd.parseId,
+
+      MODULE_URL_PREFIX = '/module/',
+      ORD_URL_PREFIX = '/ord/',
+      MODULE_SCHEME = 'module://',
+      NMODULE_PREFIX = 'nmodule/',
+      QUERY_REGEX = /^([^?#]*)(?:\?([^#]*))?(?:#(.*))?$/,
+      PLUGIN_ID_REGEX = /^[^!|:\/][^!|:]*!/, //e.g. hbs!, but not an ORD chain
+      FORMATS = [ 'url', 'ord', 'nmodule' ];
+
+/**
+ * @typedef {Object} ParsedOrd
+ * @property {String} format the form it was parsed from: `url` for a
+ * `/module/` or `/ord/` URL, `ord` for a `module://` ORD, or `nmodule` for a
+ * RequireJS module ID
+ * @property {String} module Niagara module name, e.g. `bajaScript`
+ * @property {String} path decoded path of the file inside the module, e.g.
+ * `rc/virt.js`. For an `nmodule/` ID, `.js` is added, or the plugin's default
+ * extension for a plugin resource.
+ * @property {String} [plugin] the RequireJS plugin of a plugin-prefixed
+ * `nmodule/` ID, e.g. `hbs`
+ * @property {String} query the query string, without the `?`, or an empty
+ * string
+ * @property {String} fragment the fragment, without the `#`, or an empty
+ * string
+ */
+
+/**
+ * Parses a request for a file in a Niagara module. Accepts:
+ *
+ * - `/module/` URLs, e.g. `/module/bajaScript/rc/virt.js?v=42`. The path is
+ *   percent-decoded.
+ * - `module://` ORDs, including at the end of an ORD chain, e.g.
+ *   `local:|module://bajaScript/rc/virt.js`
+ * - `/ord/` URLs containing a percent-encoded `module://` ORD, e.g.
+ *   `/ord/local:%7Cmodule://bajaScript/rc/virt.js`
+ * - `nmodule/` RequireJS module IDs, e.g. `nmodule/bajaScript/rc/virt`
+ * - plugin-prefixed `nmodule/` IDs, e.g. `hbs!nmodule/myModule/rc/template`.
+ *   The plugin's default extension (`.hbs` for `hbs!`, `.css` for `css!`) is
+ *   added unless already present. `text!` resources include their own
+ *   extension. `lex!` resources are lexicons, not files, so are not module
+ *   requests.
+ *
+ * Query strings and fragments are split off in all forms. `.` and `..`
+ * segments are resolved, and a path that climbs out of the module is
+ * rejected.
+ *
+ * @param {String} request
+ * @param {Object} [options]
+ * @param {Boolean} [options.query=true] set false if `?` and `#` belong to
+ * the path, as in a glob pattern
+ * @param {Object.<string, String|null>} [options.pluginExtensions] default
+ * extensions for other RequireJS plugins, keyed by plugin name, e.g.
+ * `{ less: '.less' }`. Use `null` for a plugin whose resources are not files.
+ * @returns {ParsedOrd|null} the parsed request, or `null` if it is not a
+ * request for a file in a module at all
+ * @throws {MalformedOrdError} if it is a module request, but the module
+ * name is missing, the encoding is invalid, or the path climbs out of the
+ * module
+ *
+ * @example
+ * ord.parse('/module/bajaScript/rc/virt.js?v=42');
+ * //{ format: 'url', module: 'bajaScript', path: 'rc/virt.js', query: 'v=42', fragment: '' }
+ */
+function parse(request, options) {
+  if (typeof request !== 'string') {
+    return null;
+  }
+
+  const match = options && options.query === false ?
+          [ request, request ] : request.match(QUERY_REGEX),
+        main = match[1];
+
+  let form, modulePath, plugin;
+
+  if (main.match(PLUGIN_ID_REGEX)) {
+    const parsedId = parseId(main, options && options.pluginExtensions);
+
+    if (parsedId.extension === null || parsedId.id.indexOf(NMODULE_PREFIX) !== 0) {
+      return null;
+    }
+
+    form = 'nmodule';
+    plugin = parsedId.plugin;
+    modulePath = addExtension(parsedId.id.substring(NMODULE_PREFIX.length),
+      parsedId.extension);
+  } else if (main.indexOf(MODULE_URL_PREFIX) === 0) {
+    form = 'url';
+    modulePath = decode(main.substring(MODULE_URL_PREFIX.length), request);
+  } else if (main.indexOf(ORD_URL_PREFIX) === 0) {
+    form = 'url';
+    modulePath = getModuleOrdPath(decode(main.substring(ORD_URL_PREFIX.length), request));
+  } else if (main.indexOf(NMODULE_PREFIX) === 0) {
+    form = 'nmodule';
+    modulePath = main.substring(NMODULE_PREFIX.length) + '.js';
+  } else {
+    form = 'ord';
+    modulePath = getModuleOrdPath(main);
+  }
+
+  if (typeof modulePath !== 'string') {
+    return null;
+  }
+
+  const index = modulePath.indexOf('/');
+
+  if (index <= 0) {
+    throw new MalformedOrdError('could not determine module name: ' + modulePath,
+      { ord: request });
+  }
+
+  const moduleName = modulePath.substring(0, index);
+
+  if (moduleName === '.' || moduleName === '..' || moduleName.indexOf('\\') >= 0) {
+    throw new MalformedOrdError('invalid module name: ' + moduleName, { ord: request });
+  }
+
+  const parsed = {
+    format: form,
+    module: moduleName,
+    path: normalizePath(modulePath.substring(index + 1), request),
+    query: match[2] || '',
+    fragment: match[3] || ''
+  };
+
+  if (plugin) {
+    parsed.plugin = plugin;
+  }
+
+  return parsed;
+}
+
+/**
+ * Formats a module request in another form.
+ *
+ * @param {String|ParsedOrd} request a request that {@link parse} accepts,
+ * or one it has already parsed
+ * @param {String} toFormat `url` for a `/module/` URL, `ord` for a `module://`
+ * ORD, or `nmodule` for a RequireJS module ID. Only URLs keep the query
+ * string and fragment. Only a module ID keeps the plugin prefix, and only
+ * the `.js` extension, or the plugin's default extension, is dropped from
+ * it.
+ * @param {Object} [options] options for {@link parse}
+ * @returns {String}
+ * @throws {MalformedOrdError} if the request is not a module request
+ *
+ * @example
+ * ord.format('nmodule/bajaScript/rc/virt', 'ord'); //'module://bajaScript/rc/virt.js'
+ * ord.format('module://my Module/rc/a b.js', 'url'); //'/module/my%20Module/rc/a%20b.js'
+ * ord.format('hbs!nmodule/myModule/rc/template', 'ord'); //'module://myModule/rc/template.hbs'
+ */
+function format(request, toFormat, options) {
+  const parsed = typeof request === 'string' ? parse(request, options) : request;
+
+  if (!parsed) {
+    throw new MalformedOrdError('not a module request: ' + request, { ord: request });
+  }
+
+  if (FORMATS.indexOf(toFormat) < 0) {
+    throw new Error('unknown format ' + toFormat + ', must be one of ' + FORMATS.join());
+  }
+
+  const modulePath = parsed.module + '/' + parsed.path;
+
+  switch (toFormat) {
+    case 'url':
+      return MODULE_URL_PREFIX + modulePath.split('/').map(encodeURIComponent).join('/') +
+        (parsed.query ? '?' + parsed.query : '') +
+        (parsed.fragment ? '#' + parsed.fragment : '');
+    case 'ord':
+      return MODULE_SCHEME + modulePath;
+    case 'nmodule':
+      if (parsed.plugin) {
+        return parsed.plugin + '!' + NMODULE_PREFIX + removeExtension(modulePath,
+          getPluginExtension(parsed.plugin, options && options.pluginExtensions));
+      }
+      return NMODULE_PREFIX + removeExtension(modulePath, '.js');
+  }
+}
+
+function addExtension(filePath, extension) {
+  return extension && !filePath.endsWith(extension) ? filePath + extension : filePath;
+}
+
+function removeExtension(filePath, extension) {
+  return extension && filePath.endsWith(extension) ?
+    filePath.substring(0, filePath.length - extension.length) : filePath;
+}
+
+/**
+ * Resolves `.` and `..` segments, so the path can be safely joined onto a
+ * source root or temp dir.
+ *
+ * @param {String} filePath path inside the module
+ * @param {String} request the request it came from, for the error
+ * @returns {String}
+ * @throws {MalformedOrdError} if the path climbs out of the module, or
+ * contains a backslash `..` segment or a NUL byte
+ */
+function normalizePath(filePath, request) {
+  const segments = [];
+
+  filePath.split('/').forEach(segment => {
+    if (segment === '..') {
+      if (!segments.length) {
+        throw new MalformedOrdError('path escapes its module: ' + request, { ord: request });
+      }
+      segments.pop();
+    } else if (segment !== '.') {
+      //backslashes are separators on Windows, so can't be used to sneak past
+      if (segment.indexOf('\0') >= 0 || segment.split('\\').indexOf('..') >= 0) {
+        throw new MalformedOrdError('unsafe path: ' + request, { ord: request });
+      }
+      segments.push(segment);
+    }
+  });
+
+  return segments.join('/');
+}
+
+/**
+ * @param {String} ord an ORD, possibly a chain such as `local:|module://...`
+ * @returns {String|undefined} the path after `module://`, if the last ORD in
+ * the chain is a `module://` ORD
+ */
+function getModuleOrdPath(ord) {
+  const last = ord.split('|').pop().trim();
+
+  if (last.indexOf(MODULE_SCHEME) === 0) {
+    return last.substring(MODULE_SCHEME.length);
+  }
+}
+
+function decode(str, request) {
+  try {
+    return decodeURIComponent(str);
+  } catch (err) {
+    throw new MalformedOrdError('invalid encoding in ' + request, { ord: request });
+  }
+}
+
+module.exports = {
+  format: format,
+  parse: parse
+};
@@ -0,0 +1,73 @@
+'use strict';
+
+const niagaraUtils = require('./util/niagara'),
+
+      getModuleFileInfo = niagaraUtils.getModuleFileInfo,
+      isModuleRequest = niagaraUtils.isModuleRequest,
+      resolveRelativeOrd = niagaraUtils.resolveRelativeOrd,
+
+      MODULE_ORD_REGEX = /^module:\/\//,
+      RELATIVE_REGEX = /^\.\.?\//;
+
+/**
+ * Creates a Rollup plugin that resolves `nmodule/` module IDs, `module://`
+ * ORDs and `/module/` URLs using the given {@link Resolver}, and loads their
+ * contents directly from moduledev or from the jars in
+ * `niagara_home/modules`. Nothing is extracted to temp files.
+ *
+ * Resolved files are identified by their `module://` ORDs, and relative
+ * imports from inside them are resolved against those ORDs.
+ *
+ * @param {Resolver} md the resolver to use to look up files
+ * @param {Object} [options] configuration object
+ * @param {Array.<String>} [options.external] names of Niagara modules (e.g.
+ * `bajaScript`) whose files should be left as external imports
+ * @returns {Object} Rollup plugin
+ *
+ * @example
+ * export default moduledev.fromFile().then(md => ({
+ *   input: 'src/index.js',
+ *   plugins: [ moduledev.rollupPlugin(md, { external: [ 'bajaScript' ] }) ]
+ * }));
+ */
+function rollupPlugin(md, options) {
+  const external = (options && options.external) || [];
+
+  return {
+    name: 'niagara-moduledev',
+
+    resolveId: function (source, importer) {
+      if (isModuleRequest(source)) {
+        const modInfo = getModuleFileInfo(source);
+
+        if (!modInfo.fullPath) {
+          return null;
+        }
+
+        if (external.indexOf(modInfo.name) >= 0) {
+          return { id: source, external: true };
+        }
+
+        return 'module://' + modInfo.fullPath;
+      }
+
+      if (importer && importer.match(MODULE_ORD_REGEX) &&
+          source.match(RELATIVE_REGEX)) {
+        return resolveRelativeOrd(importer, source) || null;
+      }
+
+      return null;
+    },
+
+    load: function (id) {
+      if (!id.match(MODULE_ORD_REGEX)) {
+        return null;
+      }
+
+      return md.readFile(id)
+        .then(data => String(data));
+    }
+  };
+}
+
+module.exports = rollupPlugin;
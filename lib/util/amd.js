@@ -0,0 +1,138 @@
+'use strict';
+
+const path = require('path'),
+
+      //strings are matched so that comment markers inside them are left alone
+      COMMENT_REGEX = /("(?:\\.|[^"\\])*"|'(?:\\.|[^'\\])*'|`(?:\\.|[^`\\])*`)|\/\*[\s\S]*?\*\/|\/\/[^\n]*/g,
+      ARRAY_CALL_REGEX = /\b(?:define|require|requirejs)\s*\(\s*(?:(['"])[^'"]*\1\s*,\s*)?\[([^\]]*)\]/g,
+      REQUIRE_CALL_REGEX = /\brequire\s*\(\s*(['"])([^'"]+)\1\s*\)/g,
+      STRING_REGEX = /(['"])([^'"]+)\1/g,
+      SPECIAL_IDS = [ 'require', 'exports', 'module' ],
+
+      /**
+       * Default file extensions for the resources loaded by RequireJS
+       * plugins, keyed by the last part of the plugin ID. An empty string
+       * means resources include their own extension, as for `text!` and any
+       * plugin not listed. `null` means resources are not files at all: a
+       * `lex!` resource names the modules whose lexicons to load.
+       */
+      PLUGIN_EXTENSIONS = {
+        css: '.css',
+        hbs: '.hbs',
+        lex: null,
+        text: ''
+      };
+
+/**
+ * Find the module IDs a RequireJS module depends on, from the dependency
+ * arrays of its `define()`/`require()` calls, and from any
+ * `require('id')` calls using the CommonJS sugar.
+ *
+ * @private
+ * @param {String} source JavaScript source code
+ * @returns {Array.<String>} unique dependency IDs, including any plugin
+ * prefixes, in the order they appear
+ */
+function findDependencies(source) {
+  const code = String(source).replace(COMMENT_REGEX, (match, str) => str || ''),
+        ids = [];
+
+  function add(id) {
+    if (SPECIAL_IDS.indexOf(id) < 0 && ids.indexOf(id) < 0) {
+      ids.push(id);
+    }
+  }
+
+  let match;
+
+  ARRAY_CALL_REGEX.lastIndex = 0;
+  while ((match = ARRAY_CALL_REGEX.exec(code))) {
+    let str;
+    STRING_REGEX.lastIndex = 0;
+    while ((str = STRING_REGEX.exec(match[2]))) {
+      add(str[2]);
+    }
+  }
+
+  REQUIRE_CALL_REGEX.lastIndex = 0;
+  while ((match = REQUIRE_CALL_REGEX.exec(code))) {
+    add(match[2]);
+  }
+
+  return ids;
+}
+
+/**
+ * @private
+ * @typedef {Object} ParsedId
+ * @property {String} [plugin] plugin module ID, e.g. `hbs`
+ * @property {String} id the module or resource ID, without the plugin prefix
+ * @property {String|null} [extension] default file extension for a plugin
+ * resource, e.g. `.hbs`. See {@link getPluginExtension}.
+ */
+
+/**
+ * Split a plugin prefix off a module ID.
+ *
+ * @private
+ * @param {String} id e.g. `hbs!nmodule/myModule/rc/template`
+ * @param {Object.<string, String|null>} [extensions] additional default
+ * extensions, keyed by plugin name
+ * @returns {ParsedId}
+ */
+function parseId(id, extensions) {
+  const index = id.indexOf('!');
+
+  if (index < 0) {
+    return { id: id };
+  }
+
+  const plugin = id.substring(0, index);
+  return {
+    plugin: plugin,
+    id: id.substring(index + 1),
+    extension: getPluginExtension(plugin, extensions)
+  };
+}
+
+/**
+ * @private
+ * @param {String} plugin plugin module ID, e.g. `hbs` or
+ * `nmodule/js/rc/require-handlebars-plugin/hbs`
+ * @param {Object.<string, String|null>} [extensions] additional default
+ * extensions, keyed by plugin name
+ * @returns {String|null} the default file extension for the plugin's
+ * resources, an empty string if they include their own extension, or `null`
+ * if they are not files
+ */
+function getPluginExtension(plugin, extensions) {
+  const name = path.posix.basename(plugin);
+
+  if (extensions && extensions.hasOwnProperty(name)) {
+    return extensions[name];
+  }
+
+  return PLUGIN_EXTENSIONS.hasOwnProperty(name) ? PLUGIN_EXTENSIONS[name] : '';
+}
+
+/**
+ * Resolve a relative module ID against the ID of the module requesting it.
+ *
+ * @private
+ * @param {String} id e.g. `./foo`
+ * @param {String} parentId e.g. `nmodule/myModule/rc/bar`
+ * @returns {String} e.g. `nmodule/myModule/rc/foo`
+ */
+function resolveRelativeId(id, parentId) {
+  if (!id.match(/^\.\.?\//)) {
+    return id;
+  }
+  return path.posix.join(path.posix.dirname(parentId), id);
+}
+
+module.exports = {
+  findDependencies: findDependencies,
+  getPluginExtension: getPluginExtension,
+  parseId: parseId,
+  resolveRelativeId: resolveRelativeId
+};
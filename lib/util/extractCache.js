@@ -0,0 +1,166 @@
+'use strict';
+
+const Promise = require('bluebird'),
+      crypto = require('crypto'),
+      fs = Promise.promisifyAll(require('fs-extra')),
+      path = require('path'),
+      listFilesInDir = require('./file').listFilesInDir;
+
+//Files extracted from jars are kept in one directory per module per set of
+//jars: <rootDir>/<module>/<key>/, where the key changes whenever any of the
+//module's jars do. So a directory's contents never go stale, and can be
+//shared by every process using the same root directory. The modified time of
+//each directory records when it was last used.
+//Only directories laid out like this are ever evicted or cleared, so nothing
+//else that happens to be in the root directory is touched.
+
+const MODULE_NAME_REGEX = /^[\w$-]+$/,
+      CACHE_KEY_REGEX = /^[0-9a-f]{16}$/;
+
+/**
+ * @private
+ * @typedef {Object} CacheDirInfo
+ * @property {string} path
+ * @property {number} size total size of the files inside it, in bytes
+ * @property {number} lastUsed
+ */
+
+/**
+ * @private
+ * @param {Object.<string, JarIdentity|null>} jars identities of every jar
+ * of the module, keyed by jar path
+ * @returns {string} a key that changes whenever any of the jars do
+ */
+function getCacheKey(jars) {
+  const hash = crypto.createHash('sha1');
+
+  Object.keys(jars).sort().forEach(jarPath => {
+    const identity = jars[jarPath];
+    hash.update(path.resolve(jarPath) + '\n' +
+      (identity ? identity.size + ':' + identity.mtime : 'missing') + '\n');
+  });
+
+  return hash.digest('hex').substring(0, 16);
+}
+
+/**
+ * Record that a cache directory was just used.
+ *
+ * @private
+ * @param {string} dirPath
+ * @returns {Promise} resolves even if the directory is gone
+ */
+function markUsed(dirPath) {
+  const now = new Date();
+  return fs.utimesAsync(dirPath, now, now).catch(() => {});
+}
+
+function readdir(dirPath) {
+  return fs.readdirAsync(dirPath).catch(() => []);
+}
+
+/**
+ * @private
+ * @param {string} rootDir
+ * @param {string} moduleName
+ * @returns {Promise.<Array.<string>>} the cache directories of the module
+ */
+function listModuleCacheDirs(rootDir, moduleName) {
+  const moduleDir = path.join(rootDir, moduleName);
+  return readdir(moduleDir)
+    .then(keys => keys
+      .filter(key => CACHE_KEY_REGEX.test(key))
+      .map(key => path.join(moduleDir, key)));
+}
+
+/**
+ * @private
+ * @param {string} rootDir
+ * @returns {Promise.<Array.<CacheDirInfo>>} every cache directory, least
+ * recently used first
+ */
+function listCacheDirs(rootDir) {
+  return readdir(rootDir)
+    .then(moduleNames => Promise.all(moduleNames
+      .filter(moduleName => MODULE_NAME_REGEX.test(moduleName))
+      .map(moduleName => listModuleCacheDirs(rootDir, moduleName))))
+    .then(lists => Promise.all([].concat.apply([], lists).map(toCacheDirInfo)))
+    .then(dirs => dirs
+      .filter(dir => dir)
+      .sort((a, b) => a.lastUsed - b.lastUsed));
+}
+
+/**
+ * @private
+ * @param {string} dirPath
+ * @returns {Promise.<CacheDirInfo|null>} `null` if the directory is gone
+ */
+function toCacheDirInfo(dirPath) {
+  return Promise.all([ fs.statAsync(dirPath), getDirSize(dirPath) ])
+    .spread((stat, size) => ({
+      path: dirPath,
+      size: size,
+      lastUsed: stat.mtime.getTime()
+    }), () => null);
+}
+
+function getDirSize(dirPath) {
+  return listFilesInDir(dirPath)
+    .then(files => Promise.all(files.map(file =>
+      fs.statAsync(path.join(dirPath, file)).then(stat => stat.size, () => 0))))
+    .then(sizes => sizes.reduce((total, size) => total + size, 0));
+}
+
+/**
+ * Delete the least recently used cache directories until the total size of
+ * the cache is no more than `maxSize`.
+ *
+ * @private
+ * @param {string} rootDir
+ * @param {number} maxSize in bytes
+ * @param {Array.<string>} [keep] directories not to delete, because they are
+ * in use right now
+ * @returns {Promise.<Array.<string>>} promise to receive the directories that
+ * were deleted
+ */
+function evictLeastRecentlyUsed(rootDir, maxSize, keep) {
+  return listCacheDirs(rootDir)
+    .then(dirs => {
+      let total = dirs.reduce((sum, dir) => sum + dir.size, 0);
+
+      const evicted = dirs.filter(dir => {
+        if (total <= maxSize || (keep && keep.indexOf(dir.path) >= 0)) {
+          return false;
+        }
+        total -= dir.size;
+        return true;
+      }).map(dir => dir.path);
+
+      return Promise.all(evicted.map(dirPath => fs.removeAsync(dirPath)))
+        .then(() => evicted);
+    });
+}
+
+/**
+ * Delete every cache directory of a module.
+ *
+ * @private
+ * @param {string} rootDir
+ * @param {string} moduleName
+ * @returns {Promise}
+ */
+function removeModuleCacheDirs(rootDir, moduleName) {
+  const moduleDir = path.join(rootDir, moduleName);
+
+  return listModuleCacheDirs(rootDir, moduleName)
+    .then(dirs => Promise.all(dirs.map(dirPath => fs.removeAsync(dirPath))))
+    //leave the module directory if anything else is in it
+    .then(() => fs.rmdirAsync(moduleDir).catch(() => {}));
+}
+
+module.exports = {
+  evictLeastRecentlyUsed: evictLeastRecentlyUsed,
+  getCacheKey: getCacheKey,
+  markUsed: markUsed,
+  removeModuleCacheDirs: removeModuleCacheDirs
+};
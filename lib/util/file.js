@@ -4,12 +4,25 @@ const AdmZip = require('adm-zip'),
       Promise = require('bluebird'),
       fs = Promise.promisifyAll(require('fs-extra')),
       path = require('path'),
-      temp = require('temp');
+      temp = require('temp'),
+      jarIndex = require('./jarIndex'),
+      errors = require('../errors'),
+
+      FileNotFoundError = errors.FileNotFoundError,
+      JarUnreadableError = errors.JarUnreadableError,
+      ModuleDevError = errors.ModuleDevError,
+      UnsafePathError = errors.UnsafePathError,
+
+      findEntry = jarIndex.findEntry,
+      getJarIndex = jarIndex.getJarIndex,
+      readEntry = jarIndex.readEntry;
 
 if (!process.env.RETAIN_TEMP_FILES) { temp.track(); }
 
 const mkdirAsync = Promise.promisify(temp.mkdir);
 
+let tmpFileCount = 0;
+
 /**
  * @typedef {Object} FileInfo
  * @property {string} path
@@ -17,89 +30,284 @@ const mkdirAsync = Promise.promisify(temp.mkdir);
  */
 
 
-let tmpDir;
-function getTmpDir() {
-  return tmpDir || (tmpDir = mkdirAsync({ prefix: 'niagara-moduledev' }));
+/**
+ * Create a new temp dir to extract files into. Unless the `RETAIN_TEMP_FILES`
+ * environment variable is set, it is deleted when the process exits.
+ *
+ * @returns {Promise.<string>} promise to receive the path to the temp dir
+ */
+function createTmpDir() {
+  return mkdirAsync({ prefix: 'niagara-moduledev' });
 }
 
 /**
  * Look inside the specified zip/jar file for a file matching the path. If
- * found, extract to a temp file and return a path to it.
+ * found, extract it to the directory and return a path to it.
+ *
+ * The jar's index is used to find the file, so the jar itself will only be
+ * opened if it actually contains the file.
  *
  * @param {String} zipPath Path to zip/jar file
- * @param {string} moduleName
  * @param {String} filePath Path to file we are searching for inside the jar
+ * @param {string} extractDir directory to extract to
+ * @param {object} [options] options for the jar index
  * @returns {Promise.<string>} Promise to receive a path to extracted file, or
  * error if the file was not not inside the jar
  */
-function retrieveFromZip(zipPath, moduleName, filePath) {
-  let zip = new AdmZip(zipPath),
-      entries = zip.getEntries(),
-      entry,
-      entryName,
-      i;
-
-  filePath = normalized(filePath);
-
-  for (i = 0; i < entries.length; i++) {
-    entry = entries[i];
-    entryName = entry.entryName;
-    if (normalized(entryName) === filePath) {
+function retrieveFromZip(zipPath, filePath, extractDir, options) {
+  return getJarIndex(zipPath, options)
+    .then(index => {
+      const entry = findEntry(index, filePath);
+
+      if (!entry) {
+        throw new FileNotFoundError("could not retrieve " + filePath +
+          " from zip " + zipPath, { path: zipPath, entryName: filePath });
+      }
+
       if (entry.isDirectory) {
-        return writeTempDirectory(zip, moduleName, entryName);
+        return writeTempDirectory(new AdmZip(zipPath), zipPath, extractDir, entry.entryName);
       } else {
-        return writeTempFile(zip, moduleName, entryName);
+        return writeTempFile(index, entry, extractDir);
+      }
+    });
+}
+
+/**
+ * Read the contents of a file inside a zip/jar file.
+ *
+ * @param {String} zipPath Path to zip/jar file
+ * @param {String} filePath Path to the file inside the jar
+ * @param {object} [options] options for the jar index
+ * @returns {Promise.<Buffer>} Promise to receive the file contents, or reject
+ * with a `FileNotFoundError` if the file was not inside the jar, or a
+ * `JarUnreadableError` if the jar could not be read
+ */
+function readFromZip(zipPath, filePath, options) {
+  return getJarIndex(zipPath, options)
+    .then(index => {
+      const entry = findEntry(index, filePath);
+
+      if (!entry || entry.isDirectory) {
+        throw new FileNotFoundError("could not retrieve " + filePath +
+          " from zip " + zipPath, { path: zipPath, entryName: filePath });
       }
-    }
-  }
 
-  return Promise.reject(new Error("could not retrieve " + filePath +
-    " from zip " + zipPath));
+      return readEntry(index, entry);
+    })
+    .catch(err => { throw toJarError(zipPath, err); });
 }
 
 /**
- * Write the extracted data out to a temporary file.
+ * Write the extracted data out to a file, unless it was already extracted.
  *
- * @param {AdmZip} zip
- * @param {string} moduleName
- * @param {string} entryName
- * @returns {Promise.<FileInfo>} Promise to receive the info for the temporary
- * file, or reject if file could not be written
+ * @param {JarIndex} index
+ * @param {JarEntryInfo} entry
+ * @param {string} extractDir
+ * @returns {Promise.<FileInfo>} Promise to receive the info for the extracted
+ * file, or reject if file could not be written, or with an
+ * `UnsafePathError` if the entry would be written outside the directory
  */
-function writeTempFile(zip, moduleName, entryName) {
-  return getTmpDir()
-    .then(dirPath => {
-      let filePath = path.join(dirPath, moduleName, entryName);
-      return fs.ensureFileAsync(filePath)
-        .then(() => fs.writeFileAsync(filePath, zip.getEntry(entryName).getData()))
-        .then(() => ({ path: filePath, isDirectory: false }));
-    });
+function writeTempFile(index, entry, extractDir) {
+  return Promise.try(() => {
+    const filePath = toTmpPath(extractDir, index.jarPath, entry.entryName);
+    return writeFileOnce(filePath, () => readEntry(index, entry))
+      .then(() => ({ path: filePath, isDirectory: false }));
+  });
 }
 
 /**
- * Extract an entire directory from a zip file to a temp dir.
+ * Extract an entire directory from a zip file, keeping the paths of the
+ * files inside it. Files that were already extracted are kept, so when the
+ * runtime profiles of a module are extracted in order, the first one wins.
+ *
+ * Every entry is checked before anything is written, so one unsafe entry
+ * means nothing is extracted.
  *
  * @param {AdmZip} zip
- * @param {string} moduleName
+ * @param {string} zipPath
+ * @param {string} extractDir
  * @param {string} entryName
- * @returns {Promise.<FileInfo>} Promise to receive the info for the temporary
- * directory, or reject if directory could not be written
+ * @returns {Promise.<FileInfo>} Promise to receive the info for the extracted
+ * directory, or reject if directory could not be written, or with an
+ * `UnsafePathError` if any entry would be written outside the directory
  */
-function writeTempDirectory(zip, moduleName, entryName) {
-  return getTmpDir()
-    .then(dirPath => {
-      let modulePath = normalized(path.join(dirPath, moduleName, entryName));
-      zip.extractEntryTo(
-        entryName,
-        modulePath,
-        false,
-        false
-      );
-      return {
-        path: modulePath,
+function writeTempDirectory(zip, zipPath, extractDir, entryName) {
+  return Promise.try(() => {
+    const dirPath = normalized(toTmpPath(extractDir, zipPath, entryName)),
+          prefix = entryName.replace(/\/?$/, '/'),
+          files = zip.getEntries()
+            .filter(entry => !entry.isDirectory && entry.entryName.indexOf(prefix) === 0)
+            .map(entry => ({
+              entry: entry,
+              filePath: toTmpPath(extractDir, zipPath, entry.entryName)
+            }));
+
+    return Promise.all(files.map(file =>
+      writeFileOnce(file.filePath, () => file.entry.getData())))
+      .then(() => ({
+        path: dirPath,
         isDirectory: true
-      };
-    });
+      }));
+  });
+}
+
+/**
+ * Write a file if it does not already exist. It is written to a temp file and
+ * renamed, so other processes sharing the directory never see a partial file.
+ *
+ * @param {string} filePath
+ * @param {Function} getData returns the Buffer to write, or a Promise to
+ * receive it
+ * @returns {Promise}
+ */
+function writeFileOnce(filePath, getData) {
+  const tmpPath = filePath + '.' + process.pid + '-' + (tmpFileCount++) + '.tmp';
+
+  return fs.statAsync(filePath)
+    .catch(() => fs.ensureDirAsync(path.dirname(filePath))
+      .then(getData)
+      .then(data => fs.writeFileAsync(tmpPath, data))
+      .then(() => fs.renameAsync(tmpPath, filePath)));
+}
+
+/**
+ * @param {string} extractDir
+ * @param {string} zipPath
+ * @param {string} entryName
+ * @returns {string} where to extract the entry to
+ * @throws {UnsafePathError} if the entry name is absolute, or would climb out
+ * of the directory
+ */
+function toTmpPath(extractDir, zipPath, entryName) {
+  const filePath = path.join(extractDir, entryName);
+
+  if (path.isAbsolute(entryName) || /^[a-z]:/i.test(entryName) ||
+      entryName.split(/[\/\\]/).indexOf('..') >= 0 || !isInside(extractDir, filePath)) {
+    throw new UnsafePathError('unsafe entry ' + entryName + ' in ' + zipPath,
+      { path: zipPath, entryName: entryName });
+  }
+
+  return filePath;
+}
+
+/**
+ * @private
+ * @typedef {Object} JarIdentity
+ * @property {number} size size of the jar in bytes
+ * @property {number} mtime modified time of the jar
+ */
+
+/**
+ * Get the size and modified time of a jar, to tell whether it has changed.
+ *
+ * @param {string} jarPath
+ * @returns {Promise.<JarIdentity|null>} promise to receive the jar's identity,
+ * or `null` if the jar does not exist
+ */
+function getJarIdentity(jarPath) {
+  return fs.statAsync(jarPath)
+    .then(stat => ({ size: stat.size, mtime: stat.mtime.getTime() }), () => null);
+}
+
+/**
+ * Delete a previously extracted file or directory.
+ *
+ * @param {string} filePath path to the extracted file or directory
+ * @param {string} rootDir the directory everything is extracted under
+ * @returns {Promise}
+ */
+function removeTmpPath(filePath, rootDir) {
+  return Promise.try(() => {
+    if (!isInside(rootDir, filePath)) {
+      throw new Error(filePath + ' is not an extracted file');
+    }
+    return fs.removeAsync(filePath);
+  });
+}
+
+/**
+ * Delete a temp dir created by `createTmpDir`, and everything in it.
+ *
+ * @param {string} dirPath
+ * @returns {Promise}
+ */
+function removeTmpDir(dirPath) {
+  return fs.removeAsync(dirPath);
+}
+
+/**
+ * List all files inside a directory, recursively. Symlinks are only followed
+ * if `followLink` allows it, and each directory is only listed once, so a
+ * symlink loop can't recurse forever.
+ *
+ * @param {string} dirPath
+ * @param {Function} [followLink] receives the path to each symlink found,
+ * and returns a Promise to receive true to follow it. By default, symlinks
+ * are not followed.
+ * @returns {Promise.<Array.<string>>} Promise to receive the file paths,
+ * relative to the directory and separated with `/`. Resolves empty if the
+ * directory does not exist.
+ */
+function listFilesInDir(dirPath, followLink) {
+  const listed = {};
+
+  function toStat(filePath) {
+    return fs.lstatAsync(filePath)
+      .then(stat => !stat.isSymbolicLink() ? stat :
+        Promise.resolve(followLink && followLink(filePath))
+          .then(follow => follow ? fs.statAsync(filePath) : null));
+  }
+
+  return (function list(dir) {
+    return fs.realpathAsync(dir)
+      .then(realDir => {
+        if (listed[realDir]) {
+          return [];
+        }
+        listed[realDir] = true;
+
+        return fs.readdirAsync(dir)
+          .then(names => Promise.all(names.map(name => {
+            const filePath = path.join(dir, name);
+            return toStat(filePath)
+              .then(stat => !stat ? [] :
+                stat.isDirectory() ?
+                  list(filePath).then(files => files.map(f => name + '/' + f)) :
+                stat.isFile() ? [ name ] : [])
+              .catch(() => []);
+          })))
+          .then(lists => [].concat.apply([], lists));
+      })
+      .catch(() => []);
+  }(dirPath));
+}
+
+/**
+ * @param {string} jarPath
+ * @param {Error} err
+ * @returns {ModuleDevError} the error as is if already typed; otherwise a
+ * `FileNotFoundError` if the jar does not exist, or a `JarUnreadableError`
+ */
+function toJarError(jarPath, err) {
+  if (err instanceof ModuleDevError) {
+    return err;
+  }
+  if (err.code === 'ENOENT') {
+    return new FileNotFoundError("no jar at " + jarPath, { path: jarPath });
+  }
+  return new JarUnreadableError("cannot read zip file at " + jarPath + ": " +
+    err.message, { path: jarPath });
+}
+
+/**
+ * @param {string} dirPath
+ * @param {string} filePath
+ * @returns {boolean} true if the file is strictly inside the directory
+ */
+function isInside(dirPath, filePath) {
+  const relative = path.relative(dirPath, filePath);
+  return !!relative && relative !== '..' && !relative.startsWith('..' + path.sep) &&
+    !path.isAbsolute(relative);
 }
 
 function normalized(filePath) {
@@ -109,9 +317,16 @@ function normalized(filePath) {
 
 
 module.exports = {
-  getTmpFileFromJarPath: function getTmpFileFromJarPath(jarPath, moduleName, modulePath) {
+  createTmpDir: createTmpDir,
+  getJarIdentity: getJarIdentity,
+  isInside: isInside,
+  listFilesInDir: listFilesInDir,
+  removeTmpDir: removeTmpDir,
+  removeTmpPath: removeTmpPath,
+  readFromZip: readFromZip,
+  getTmpFileFromJarPath: function getTmpFileFromJarPath(jarPath, modulePath, extractDir, options) {
     return fs.accessAsync(jarPath, fs.constants.R_OK)
-      .then(() => retrieveFromZip(jarPath, moduleName, modulePath))
-      .catch(() => { throw new Error("cannot read zip file at " + jarPath); });
+      .then(() => retrieveFromZip(jarPath, modulePath, extractDir, options))
+      .catch(err => { throw toJarError(jarPath, err); });
   }
 };
\ No newline at end of file
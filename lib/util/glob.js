@@ -0,0 +1,88 @@
+'use strict';
+
+/**
+ * Converts a glob pattern into a regular expression matching `/`-separated
+ * paths. Supports `*`, `**`, `?`, `[...]` and `{a,b}`.
+ *
+ * @private
+ * @param {String} glob e.g. `rc/**\/*.js`
+ * @returns {RegExp}
+ */
+function globToRegExp(glob) {
+  let regex = '',
+      inGroup = 0;
+
+  for (let i = 0; i < glob.length; i++) {
+    let c = glob[i];
+
+    switch (c) {
+      case '*':
+        if (glob[i + 1] === '*') {
+          //** matches any number of directories, including none
+          if (glob[i + 2] === '/') {
+            regex += '(?:.*/)?';
+            i += 2;
+          } else {
+            regex += '.*';
+            i += 1;
+          }
+        } else {
+          regex += '[^/]*';
+        }
+        break;
+      case '?':
+        regex += '[^/]';
+        break;
+      case '[': {
+        let end = glob.indexOf(']', i + 1);
+        if (end < 0) {
+          regex += '\\[';
+        } else {
+          regex += '[' + glob.substring(i + 1, end).replace(/^!/, '^').replace(/\\/g, '\\\\') + ']';
+          i = end;
+        }
+        break;
+      }
+      case '{':
+        inGroup++;
+        regex += '(?:';
+        break;
+      case '}':
+        if (inGroup) {
+          inGroup--;
+          regex += ')';
+        } else {
+          regex += '\\}';
+        }
+        break;
+      case ',':
+        regex += inGroup ? '|' : ',';
+        break;
+      default:
+        regex += c.replace(/[.+^$()|\\]/g, '\\$&');
+    }
+  }
+
+  return new RegExp('^' + regex + '$');
+}
+
+/**
+ * Get the part of a glob pattern before the first wildcard, up to the last
+ * complete directory. Only files inside this directory can match.
+ *
+ * @private
+ * @param {String} glob e.g. `rc/foo/**\/*.js`
+ * @returns {String} e.g. `rc/foo`
+ */
+function getGlobBase(glob) {
+  const wildcard = glob.search(/[*?[{]/),
+        literal = wildcard < 0 ? glob : glob.substring(0, wildcard),
+        slash = literal.lastIndexOf('/');
+
+  return slash < 0 ? '' : literal.substring(0, slash);
+}
+
+module.exports = {
+  getGlobBase: getGlobBase,
+  globToRegExp: globToRegExp
+};
@@ -0,0 +1,259 @@
+'use strict';
+
+const AdmZip = require('adm-zip'),
+      Promise = require('bluebird'),
+      crypto = require('crypto'),
+      fs = Promise.promisifyAll(require('fs-extra')),
+      path = require('path'),
+      zlib = Promise.promisifyAll(require('zlib')),
+
+      INDEX_VERSION = 3,
+      //zip local file header: signature, then the name and extra field
+      //lengths at offsets 26 and 28, then the name, extra field and data
+      LOCAL_HEADER_SIGNATURE = 0x04034b50,
+      LOCAL_HEADER_SIZE = 30,
+      STORED = 0,
+      DEFLATED = 8;
+
+/**
+ * In-memory jar indexes for this process, keyed by absolute jar path.
+ * @type {Object.<string, {size: number, mtime: number, index: Promise.<JarIndex>}>}
+ */
+const indexes = {};
+
+/**
+ * @private
+ * @typedef {Object} JarIndex
+ * @property {string} jarPath absolute path to the jar
+ * @property {number} size size of the jar in bytes when it was indexed
+ * @property {number} mtime modified time of the jar when it was indexed
+ * @property {Object.<string, JarEntryInfo>} entries jar entries, keyed by
+ * normalized entry name
+ */
+
+/**
+ * @private
+ * @typedef {Object} JarEntryInfo
+ * @property {string} entryName the actual name of the entry in the jar
+ * @property {boolean} isDirectory
+ * @property {number} size uncompressed size of the entry in bytes
+ * @property {number} time modified time of the entry
+ * @property {number} offset offset of the entry's local header in the jar
+ * @property {number} compressedSize size of the entry's data in the jar
+ * @property {number} method compression method of the entry
+ */
+
+/**
+ * Get the index of all entries in a jar file. The jar will only be opened
+ * and scanned if it has not already been indexed, or if its size or modified
+ * time have changed since it was.
+ *
+ * @private
+ * @param {string} jarPath path to the jar file
+ * @param {object} [options]
+ * @param {string} [options.indexDir] if given, indexes will be persisted to
+ * this directory so that later processes do not need to rescan the jar
+ * @returns {Promise.<JarIndex>} promise to receive the index, or reject if
+ * the jar could not be read
+ */
+function getJarIndex(jarPath, options) {
+  const indexDir = options && options.indexDir;
+
+  jarPath = path.resolve(jarPath);
+
+  return fs.statAsync(jarPath)
+    .then(stat => {
+      const size = stat.size,
+            mtime = stat.mtime.getTime(),
+            cached = indexes[jarPath];
+
+      if (cached && cached.size === size && cached.mtime === mtime) {
+        return cached.index;
+      }
+
+      const index = readPersistedIndex(indexDir, jarPath, size, mtime)
+        .catch(() => {
+          const built = buildIndex(jarPath, size, mtime);
+          if (indexDir) {
+            //failing to persist just means the next process starts cold
+            return writePersistedIndex(indexDir, built)
+              .catch(() => {})
+              .then(() => built);
+          }
+          return built;
+        });
+
+      indexes[jarPath] = { size: size, mtime: mtime, index: index };
+
+      //don't hang onto a failure, so the next lookup can try again
+      index.catch(() => {
+        if (indexes[jarPath] && indexes[jarPath].index === index) {
+          delete indexes[jarPath];
+        }
+      });
+
+      return index;
+    });
+}
+
+/**
+ * Look up a file or directory in a jar index.
+ *
+ * @private
+ * @param {JarIndex} index
+ * @param {string} filePath path to the file inside the jar
+ * @returns {JarEntryInfo|undefined} the entry, if the jar contains it
+ */
+function findEntry(index, filePath) {
+  return index.entries[normalized(filePath)];
+}
+
+/**
+ * Check whether a jar contains a file or directory, without reopening the jar
+ * if it has already been indexed.
+ *
+ * @private
+ * @param {string} jarPath path to the jar file
+ * @param {string} filePath path to the file inside the jar
+ * @param {object} [options] see {@link getJarIndex}
+ * @returns {Promise.<boolean>}
+ */
+function jarContains(jarPath, filePath, options) {
+  return getJarIndex(jarPath, options)
+    .then(index => !!findEntry(index, filePath));
+}
+
+/**
+ * Read the contents of a file in an indexed jar. Only that entry is read,
+ * from the offset recorded in the index, so the jar is not read or parsed
+ * as a whole again.
+ *
+ * @private
+ * @param {JarIndex} index
+ * @param {JarEntryInfo} entry a file entry from the index
+ * @returns {Promise.<Buffer>} promise to receive the contents, or reject if
+ * the entry could not be read, e.g. because the jar changed since it was
+ * indexed
+ */
+function readEntry(index, entry) {
+  const jarPath = index.jarPath;
+
+  function fail(reason) {
+    throw new Error('could not read ' + entry.entryName + ' from ' + jarPath +
+      ': ' + reason);
+  }
+
+  return fs.openAsync(jarPath, 'r')
+    .then(fd => readAt(fd, entry.offset, LOCAL_HEADER_SIZE)
+      .then(header => {
+        if (header.readUInt32LE(0) !== LOCAL_HEADER_SIGNATURE) {
+          fail('no entry at offset ' + entry.offset);
+        }
+        return readAt(fd, entry.offset + LOCAL_HEADER_SIZE +
+          header.readUInt16LE(26) + header.readUInt16LE(28), entry.compressedSize);
+      })
+      .finally(() => fs.closeAsync(fd)))
+    .then(data => {
+      switch (entry.method) {
+        case STORED: return data;
+        case DEFLATED: return zlib.inflateRawAsync(data);
+        default: fail('unsupported compression method ' + entry.method);
+      }
+    })
+    .then(data => {
+      if (data.length !== entry.size) {
+        fail('expected ' + entry.size + ' bytes, got ' + data.length);
+      }
+      return data;
+    });
+}
+
+function readAt(fd, position, length) {
+  const buffer = new Buffer(length);
+  return fs.readAsync(fd, buffer, 0, length, position)
+    .then(bytesRead => {
+      if (bytesRead !== length) {
+        throw new Error('unexpected end of file');
+      }
+      return buffer;
+    });
+}
+
+function buildIndex(jarPath, size, mtime) {
+  const entries = new AdmZip(jarPath).getEntries()
+    .map(entry => ({
+      entryName: entry.entryName,
+      isDirectory: entry.isDirectory,
+      size: entry.header.size,
+      time: entry.header.time.getTime(),
+      offset: entry.header.offset,
+      compressedSize: entry.header.compressedSize,
+      method: entry.header.method
+    }));
+  return toIndex(jarPath, size, mtime, entries);
+}
+
+function toIndex(jarPath, size, mtime, entryList) {
+  const entries = Object.create(null);
+
+  entryList.forEach(entry => {
+    entries[normalized(entry.entryName)] = entry;
+  });
+
+  return {
+    jarPath: jarPath,
+    size: size,
+    mtime: mtime,
+    entries: entries
+  };
+}
+
+function getIndexFilePath(indexDir, jarPath) {
+  const hash = crypto.createHash('sha1').update(jarPath).digest('hex');
+  return path.join(indexDir, path.basename(jarPath) + '-' + hash + '.json');
+}
+
+function readPersistedIndex(indexDir, jarPath, size, mtime) {
+  if (!indexDir) {
+    return Promise.reject(new Error('no index directory'));
+  }
+
+  return fs.readFileAsync(getIndexFilePath(indexDir, jarPath))
+    .then(data => {
+      const json = JSON.parse(String(data));
+      if (json.version !== INDEX_VERSION || json.jarPath !== jarPath ||
+          json.size !== size || json.mtime !== mtime) {
+        throw new Error('persisted index is out of date');
+      }
+      return toIndex(jarPath, size, mtime, json.entries);
+    });
+}
+
+function writePersistedIndex(indexDir, index) {
+  const filePath = getIndexFilePath(indexDir, index.jarPath),
+        tmpPath = filePath + '.' + process.pid + '.tmp',
+        entries = index.entries;
+
+  //write then rename, so other processes never see a partial file
+  return fs.ensureDirAsync(indexDir)
+    .then(() => fs.writeFileAsync(tmpPath, JSON.stringify({
+      version: INDEX_VERSION,
+      jarPath: index.jarPath,
+      size: index.size,
+      mtime: index.mtime,
+      entries: Object.keys(entries).map(key => entries[key])
+    })))
+    .then(() => fs.renameAsync(tmpPath, filePath));
+}
+
+function normalized(filePath) {
+  //support retrieving both files and directories directly
+  return path.normalize(filePath).replace(/[\/\\]$/, '');
+}
+
+module.exports = {
+  findEntry: findEntry,
+  getJarIndex: getJarIndex,
+  jarContains: jarContains,
+  readEntry: readEntry
+};
@@ -0,0 +1,199 @@
+'use strict';
+
+const path = require('path'),
+
+      LAYOUT_KEY_REGEX = /^(.+)\.(src|srcTest)$/,
+      DEFAULT_ROOTS = {
+        src: [ '{module}{profile}/src' ],
+        srcTest: [ '{module}{profile}/srcTest' ]
+      };
+
+/**
+ * @private
+ * @typedef {Object} ModuleLayout
+ * @property {String} dir the module's directory from `moduledev.properties`
+ * @property {Array.<String>} src source root templates for the module, in
+ * search order
+ * @property {Array.<String>} srcTest source root templates for the
+ * module's `Test` module, in search order
+ * @property {String} [propertiesFile] the properties file the module's
+ * directory was configured in
+ */
+
+/**
+ * @private
+ * @typedef {Object} SourceRoot
+ * @property {String} dir directory that module paths (e.g. `rc/foo.js`) are
+ * relative to
+ * @property {String|null} profile the runtime profile suffix this root was
+ * expanded for, or `null` if its template has no `{profile}`
+ */
+
+/**
+ * Reads the module layouts from one or more `moduledev.properties`
+ * registries. When given more than one, they are merged in order, with
+ * entries in later registries winning.
+ *
+ * Alongside the plain `myModule=path/to/myModule` entries, source roots can
+ * be configured with `myModule.src` and `myModule.srcTest` entries, each a
+ * comma-separated list of directories searched in order. They may be
+ * absolute, or relative to the module's directory, and may use `{module}`
+ * and `{profile}` placeholders. A root with `{profile}` is searched once for
+ * each runtime profile. The defaults are `{module}{profile}/src` and
+ * `{module}{profile}/srcTest`.
+ *
+ * @private
+ * @param {Object.<string, string>|Array.<Object.<string, string>>} regs
+ * parsed `moduledev.properties`
+ * @param {String|Array.<String>} [propertiesFiles] the file each registry
+ * was read from
+ * @returns {Object.<string, ModuleLayout>} layouts keyed by module name,
+ * with no prototype. Source root entries for modules with no directory are
+ * ignored.
+ *
+ * @example
+ * toModuleLayouts({
+ *   myModule: 'd:/niagara/myModule',
+ *   'myModule.src': '{module}{profile}/src, {module}{profile}/build/generated',
+ *   'myModule.srcTest': 'test/resources'
+ * });
+ */
+function toModuleLayouts(regs, propertiesFiles) {
+  const reg = {},
+        keyFiles = {},
+        //no prototype, so a module named e.g. constructor is only present if
+        //it is configured
+        layouts = Object.create(null);
+
+  propertiesFiles = [].concat(propertiesFiles);
+
+  [].concat(regs).forEach((layer, i) => {
+    Object.keys(layer).forEach(key => {
+      reg[key] = layer[key];
+      keyFiles[key] = propertiesFiles[i];
+    });
+  });
+
+  Object.keys(reg).forEach(key => {
+    if (!key.match(LAYOUT_KEY_REGEX)) {
+      layouts[key] = {
+        dir: reg[key],
+        src: DEFAULT_ROOTS.src,
+        srcTest: DEFAULT_ROOTS.srcTest,
+        propertiesFile: keyFiles[key]
+      };
+    }
+  });
+
+  Object.keys(reg).forEach(key => {
+    const match = key.match(LAYOUT_KEY_REGEX),
+          layout = match && layouts[match[1]];
+
+    if (layout) {
+      layout[match[2]] = String(reg[key]).split(',')
+        .map(root => root.trim())
+        .filter(root => root);
+    }
+  });
+
+  return layouts;
+}
+
+/**
+ * @private
+ * @param {ModuleLayout} layout
+ * @param {Array.<String>} templates directory templates from the layout
+ * @param {String} moduleName module name, without any `Test` suffix
+ * @param {Array.<String>} profiles runtime profile suffixes, in order
+ * @returns {Array.<SourceRoot>} the expanded directories, in order
+ */
+function expandTemplates(layout, templates, moduleName, profiles) {
+  const roots = [];
+
+  templates.forEach(template => {
+    const expand = profile => {
+      const root = template
+        .replace(/\{module\}/g, moduleName)
+        .replace(/\{profile\}/g, profile || '');
+
+      roots.push({
+        dir: path.isAbsolute(root) ? root : path.join(layout.dir, root),
+        profile: profile
+      });
+    };
+
+    if (template.indexOf('{profile}') >= 0) {
+      profiles.forEach(expand);
+    } else {
+      expand(null);
+    }
+  });
+
+  return roots;
+}
+
+/**
+ * Expands a module's source root templates into the directories to search.
+ * Roots are searched in the order configured; a root with `{profile}` is
+ * expanded for each runtime profile in turn.
+ *
+ * @private
+ * @param {ModuleLayout} layout
+ * @param {String} moduleName module name, without any `Test` suffix
+ * @param {Boolean} isTest true to get the roots for the `Test` module
+ * @param {Array.<String>} profiles runtime profile suffixes, in order
+ * @returns {Array.<SourceRoot>}
+ */
+function getSourceRoots(layout, moduleName, isTest, profiles) {
+  return expandTemplates(layout, isTest ? layout.srcTest : layout.src,
+    moduleName, profiles);
+}
+
+/**
+ * Finds the runtime profile directories of a module, where its
+ * `META-INF/module.xml` lives, from the same templates as its source roots.
+ * A source root with `{profile}` lives in the directory its `{profile}`
+ * segment names, so `{module}{profile}/src` gives `{module}{profile}`. A
+ * source root without `{profile}` belongs to a single-profile module, whose
+ * directory is the module directory itself.
+ *
+ * @private
+ * @param {ModuleLayout} layout
+ * @param {String} moduleName module name, without any `Test` suffix
+ * @param {Array.<String>} profiles runtime profile suffixes, in order
+ * @returns {Array.<SourceRoot>} the profile directories, in the order their
+ * source roots are configured, with a `null` profile for the module directory
+ */
+function getProfileDirs(layout, moduleName, profiles) {
+  const templates = [];
+
+  layout.src.forEach(template => {
+    const segments = template.split(/[\/\\]/),
+          index = segments.findIndex(segment => segment.indexOf('{profile}') >= 0),
+          dirTemplate = index >= 0 ? segments.slice(0, index + 1).join('/') : '.';
+
+    if (templates.indexOf(dirTemplate) < 0) {
+      templates.push(dirTemplate);
+    }
+  });
+
+  return expandTemplates(layout, templates, moduleName, profiles);
+}
+
+/**
+ * @private
+ * @param {ModuleLayout} a
+ * @param {ModuleLayout} b
+ * @returns {Boolean} true if both layouts resolve files from the same places
+ */
+function isSameLayout(a, b) {
+  return a.dir === b.dir && a.src.join() === b.src.join() &&
+    a.srcTest.join() === b.srcTest.join();
+}
+
+module.exports = {
+  getProfileDirs: getProfileDirs,
+  getSourceRoots: getSourceRoots,
+  isSameLayout: isSameLayout,
+  toModuleLayouts: toModuleLayouts
+};
@@ -0,0 +1,39 @@
+'use strict';
+
+const LEVELS = [ 'debug', 'info', 'warn', 'error' ],
+
+      //looked up on each call, so console can still be swapped out or spied on
+      CONSOLE_LOGGER = {
+        debug: msg => console.log(msg),
+        info: msg => console.log(msg),
+        warn: msg => console.error(msg),
+        error: msg => console.error(msg)
+      },
+
+      noop = () => {};
+
+/**
+ * @private
+ * @param {Logger|null|false} [logger] `config.logger`
+ * @returns {Logger} a logger with every level. Writes to the console if no
+ * logger was configured, and does nothing if `null` or `false` was
+ * configured. Levels the configured logger does not implement are ignored.
+ */
+function toLogger(logger) {
+  if (logger === undefined) {
+    return CONSOLE_LOGGER;
+  }
+
+  const result = {};
+
+  LEVELS.forEach(level => {
+    result[level] = logger && typeof logger[level] === 'function' ?
+      logger[level].bind(logger) : noop;
+  });
+
+  return result;
+}
+
+module.exports = {
+  toLogger: toLogger
+};
@@ -0,0 +1,98 @@
+'use strict';
+
+const TAG_REGEX = /<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<(\/?)([\w:.-]+)((?:\s+[\w:.-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/g,
+      ATTRIBUTE_REGEX = /([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g,
+      ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'' };
+
+/**
+ * @typedef {Object} ModuleXmlInfo
+ * @property {Object.<string, string>} attributes all attributes of the
+ * `<module>` element, e.g. `name`, `runtimeProfile`, `vendor`,
+ * `vendorVersion`
+ * @property {Array.<Object.<string, string>>} dependencies attributes of each
+ * `<dependency>` element, e.g. `name`, `vendor`, `vendorVersion`
+ */
+
+/**
+ * Parses the contents of a Niagara `META-INF/module.xml` file.
+ *
+ * This only needs to understand the element attributes that Niagara writes,
+ * so it does not attempt to be a general purpose XML parser.
+ *
+ * @private
+ * @param {string} xml contents of `module.xml`
+ * @returns {ModuleXmlInfo}
+ * @throws {Error} if no `<module>` element is present
+ */
+function parseModuleXml(xml) {
+  const stack = [],
+        dependencies = [];
+
+  let attributes,
+      match;
+
+  TAG_REGEX.lastIndex = 0;
+
+  while ((match = TAG_REGEX.exec(xml))) {
+    let isClose = match[1],
+        tagName = match[2],
+        isSelfClosing = match[4];
+
+    if (!tagName) {
+      continue; //comment or processing instruction
+    }
+
+    if (isClose) {
+      stack.pop();
+      continue;
+    }
+
+    if (tagName === 'module' && !stack.length) {
+      attributes = parseAttributes(match[3]);
+    } else if (tagName === 'dependency' &&
+        stack[stack.length - 1] === 'dependencies') {
+      dependencies.push(parseAttributes(match[3]));
+    }
+
+    if (!isSelfClosing) {
+      stack.push(tagName);
+    }
+  }
+
+  if (!attributes) {
+    throw new Error('no <module> element found');
+  }
+
+  return {
+    attributes: attributes,
+    dependencies: dependencies
+  };
+}
+
+function parseAttributes(str) {
+  const attributes = {};
+  let match;
+
+  ATTRIBUTE_REGEX.lastIndex = 0;
+
+  while ((match = ATTRIBUTE_REGEX.exec(str))) {
+    attributes[match[1]] = decodeEntities(
+      match[2] !== undefined ? match[2] : match[3]);
+  }
+
+  return attributes;
+}
+
+function decodeEntities(str) {
+  return str.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (entity, code) => {
+    if (code[0] === '#') {
+      return String.fromCharCode(code[1].toLowerCase() === 'x' ?
+        parseInt(code.substring(2), 16) : parseInt(code.substring(1), 10));
+    }
+    return ENTITIES.hasOwnProperty(code) ? ENTITIES[code] : entity;
+  });
+}
+
+module.exports = {
+  parseModuleXml: parseModuleXml
+};
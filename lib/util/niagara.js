@@ -1,29 +1,9 @@
 'use strict';
 
-const MODULE_URL_REGEX = /^\/module\//, //is this a URL request for /module/?
-      MODULE_ORD_REGEX = /^module:\/\//, //is this a module:// ORD?
-      NMODULE_REGEX = /^nmodule\//; //is this a RequireJS ID?
+const path = require('path'),
+      parseOrd = require('../ord').parse,
 
-/**
- * Chops module:// or /module/ so the path starts with the module name.
- *
- * @private
- * @param {String} url
- * @returns {String}
- */
-function getModulePath(url) {
-  if (url.match(MODULE_URL_REGEX)) {
-    return url.replace(MODULE_URL_REGEX, '');
-  }
-
-  if (url.match(MODULE_ORD_REGEX)) {
-    return url.replace(MODULE_ORD_REGEX, '');
-  }
-
-  if (url.match(NMODULE_REGEX)) {
-    return url.replace(NMODULE_REGEX, '') + '.js';
-  }
-}
+      MODULE_ORD_REGEX = /^module:\/\//; //is this a module:// ORD?
 
 /**
  * @private
@@ -35,26 +15,64 @@ function getModulePath(url) {
 
 module.exports = {
   /**
-   * @param url
-   * @returns {ModuleFileInfo}
+   * @param {String} id
+   * @returns {boolean} true if this is a `/module/` URL, `module://` ORD or
+   * `nmodule/` RequireJS ID, in any form accepted by `ord.parse()`. A
+   * malformed module request still counts.
    */
-  getModuleFileInfo: function getModuleFileInfo(url) {
-    const modulePath = getModulePath(url);
-    
-    if (typeof modulePath !== 'string') {
-      return {};
+  isModuleRequest: function isModuleRequest(id) {
+    try {
+      return !!parseOrd(id);
+    } catch (err) {
+      return true;
+    }
+  },
+
+  /**
+   * Resolve a relative path against the `module://` ORD of the file that
+   * requested it.
+   *
+   * @param {String} importerOrd `module://` ORD of the requesting file
+   * @param {String} relativePath e.g. `./foo` or `../bar.css`. A `.js`
+   * extension will be added if no extension is present.
+   * @returns {String|undefined} `module://` ORD of the requested file, or
+   * undefined if the path would escape the module
+   */
+  resolveRelativeOrd: function resolveRelativeOrd(importerOrd, relativePath) {
+    const importerPath = importerOrd.replace(MODULE_ORD_REGEX, ''),
+          moduleName = importerPath.substring(0, importerPath.indexOf('/'));
+
+    let modulePath = path.posix.join(path.posix.dirname(importerPath), relativePath);
+
+    if (!moduleName || modulePath.indexOf(moduleName + '/') !== 0) {
+      return;
     }
 
-    const index = modulePath.indexOf('/');
+    if (!path.posix.extname(modulePath)) {
+      modulePath += '.js';
+    }
 
-    if (index <= 0) {
-      throw new Error('could not determine module name: ' + modulePath);
+    return 'module://' + modulePath;
+  },
+
+  /**
+   * @param url
+   * @param {Object} [options] options for `ord.parse()`
+   * @returns {ModuleFileInfo} module name and path, or an empty object if
+   * this is not a module request at all
+   * @throws {MalformedOrdError} if no module name could be determined
+   */
+  getModuleFileInfo: function getModuleFileInfo(url, options) {
+    const parsed = parseOrd(url, options);
+    
+    if (!parsed) {
+      return {};
     }
 
     return {
-      fullPath: modulePath,
-      name: modulePath.substring(0, index),
-      path: modulePath.substring(index + 1)
+      fullPath: parsed.module + '/' + parsed.path,
+      name: parsed.module,
+      path: parsed.path
     };
   },
 
@@ -0,0 +1,24 @@
+'use strict';
+
+/**
+ * Settle a promise through a Node-style callback if one is given; otherwise
+ * hand back a native Promise.
+ *
+ * @private
+ * @param {Promise} promise any thenable (usually a bluebird promise)
+ * @param {Function} [callback] Node-style callback
+ * @returns {Promise|undefined} a native Promise if no callback was given
+ */
+function callbackOrPromise(promise, callback) {
+  if (typeof callback !== 'function') {
+    return Promise.resolve(promise);
+  }
+
+  promise.then(function (result) {
+    callback(null, result);
+  }, callback);
+}
+
+module.exports = {
+  callbackOrPromise: callbackOrPromise
+};
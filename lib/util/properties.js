@@ -0,0 +1,164 @@
+'use strict';
+
+const Promise = require('bluebird'),
+      fs = Promise.promisifyAll(require('fs')),
+      path = require('path'),
+      properties = require('properties'),
+      errors = require('../errors'),
+
+      parseAsync = Promise.promisify(properties.parse),
+
+      //a line ending in an odd number of backslashes continues on the next
+      CONTINUATION_REGEX = /(^|[^\\])(\\\\)*\\$/,
+      //the key runs up to the first unescaped separator or whitespace
+      KEY_VALUE_REGEX = /^((?:\\.|[^\\=:\s])*)\s*[=:]?\s*([\s\S]*)$/,
+      ESCAPE_REGEX = /\\(u[0-9a-fA-F]{4}|[\s\S])/g,
+      ESCAPES = { t: '\t', n: '\n', r: '\r', f: '\f' };
+
+/**
+ * Reads and parses a properties file.
+ *
+ * @private
+ * @param {String} fileName path to the properties file
+ * @returns {Promise.<Object>} promise to receive the parsed properties, or
+ * reject if the file could not be read, or with a `PropertiesParseError` if
+ * it could not be parsed
+ */
+function readPropertiesFile(fileName) {
+  return fs.readFileAsync(fileName)
+    .then(data => parseAsync(String(data))
+      .catch(err => {
+        throw new errors.PropertiesParseError('could not parse ' + fileName +
+          ': ' + err.message, { path: fileName });
+      }));
+}
+
+/**
+ * Reads and parses an ordered list of properties files. Files that do not
+ * exist are treated as empty, so an optional override file may be listed.
+ *
+ * @private
+ * @param {Array.<String>} fileNames paths to the properties files
+ * @returns {Promise.<Array.<Object>>} promise to receive the parsed
+ * properties of each file, in the same order, or reject if any file could
+ * not be parsed, or with a `FileNotFoundError` if none of the files exist
+ */
+function readPropertiesFiles(fileNames) {
+  return Promise.all(fileNames.map(fileName => readPropertiesFile(fileName)
+    .catch(err => {
+      if (err.code !== 'ENOENT') {
+        throw err;
+      }
+      return null;
+    })))
+    .then(results => {
+      if (!results.some(result => result)) {
+        throw new errors.FileNotFoundError('could not find properties file ' +
+          fileNames.join(', '), { path: fileNames[0] });
+      }
+      return results.map(result => result || {});
+    });
+}
+
+/**
+ * @private
+ * @param {String|Array.<String>} niagaraHome `niagara_home` directory, or an
+ * ordered list of them
+ * @returns {String} path to `etc/moduledev.properties` in the first
+ * `niagara_home`
+ */
+function getDefaultPropertiesFile(niagaraHome) {
+  return path.join([].concat(niagaraHome)[0], 'etc/moduledev.properties');
+}
+
+/**
+ * Reads the `moduledev.properties` files to create a resolver from. If no
+ * file name is given, the default file in `niagara_home` is read, and it need
+ * not exist: without it, every module is just resolved from its jars.
+ *
+ * @private
+ * @param {String|Array.<String>|null} fileName path to the properties file,
+ * or an ordered list of them, or `null` to read the default file
+ * @param {String|Array.<String>} niagaraHome `niagara_home` directory, or an
+ * ordered list of them
+ * @returns {Promise.<{fileNames: Array.<String>, registries: Array.<Object>}>}
+ * promise to receive the files that were read and the parsed properties of
+ * each, or reject as `readPropertiesFiles` does
+ */
+function readModuleDevProperties(fileName, niagaraHome) {
+  const isDefault = !fileName,
+        fileNames = [].concat(fileName || getDefaultPropertiesFile(niagaraHome));
+
+  return readPropertiesFiles(fileNames)
+    .catch(err => {
+      if (isDefault && err instanceof errors.FileNotFoundError) {
+        return fileNames.map(() => ({}));
+      }
+      throw err;
+    })
+    .then(registries => ({ fileNames: fileNames, registries: registries }));
+}
+
+/**
+ * @private
+ * @param {String} str
+ * @returns {String} `str` with its properties escapes, such as `\u00e9` and
+ * `\=`, replaced by the characters they stand for
+ */
+function unescape(str) {
+  return str.replace(ESCAPE_REGEX, (match, escape) => {
+    if (escape.length > 1) {
+      return String.fromCharCode(parseInt(escape.substring(1), 16));
+    }
+    return ESCAPES.hasOwnProperty(escape) ? ESCAPES[escape] : escape;
+  });
+}
+
+/**
+ * Parses properties, such as a lexicon, whose values must all stay strings:
+ * `1.0` stays `"1.0"` and `true` stays `"true"`. Without sections, there is
+ * no such thing as a malformed line, so this never fails.
+ *
+ * @private
+ * @param {Buffer|String} data properties file contents
+ * @returns {Object.<string, String>} the parsed properties
+ */
+function parseStringProperties(data) {
+  const lines = [],
+        result = {};
+  let continued = '';
+
+  String(data).split(/\r\n|\r|\n/).forEach(line => {
+    line = line.replace(/^\s+/, '');
+
+    if (!continued && (!line || line[0] === '#' || line[0] === '!')) {
+      return;
+    }
+
+    if (line.match(CONTINUATION_REGEX)) {
+      continued += line.substring(0, line.length - 1);
+    } else {
+      lines.push(continued + line);
+      continued = '';
+    }
+  });
+
+  if (continued) {
+    lines.push(continued);
+  }
+
+  lines.forEach(line => {
+    const match = line.match(KEY_VALUE_REGEX);
+    result[unescape(match[1])] = unescape(match[2]);
+  });
+
+  return result;
+}
+
+module.exports = {
+  getDefaultPropertiesFile: getDefaultPropertiesFile,
+  parseStringProperties: parseStringProperties,
+  readModuleDevProperties: readModuleDevProperties,
+  readPropertiesFile: readPropertiesFile,
+  readPropertiesFiles: readPropertiesFiles
+};
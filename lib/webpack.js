@@ -0,0 +1,75 @@
+'use strict';
+
+const isModuleRequest = require('./util/niagara').isModuleRequest,
+
+      PLUGIN_NAME = 'NiagaraModuleDevPlugin';
+
+/**
+ * Creates a webpack resolve plugin that resolves `nmodule/` module IDs,
+ * `module://` ORDs and `/module/` URLs using the given {@link Resolver}.
+ *
+ * Files will be resolved from `moduledev.properties` if possible, otherwise
+ * extracted from the jars in `niagara_home/modules`. Non-JS files such as
+ * `.hbs` and `.css` can be resolved by including the file extension in the
+ * request, e.g. `nmodule/myModule/rc/template.hbs`.
+ *
+ * Any Niagara module request that cannot be resolved will fail the webpack
+ * resolution with an error describing why.
+ *
+ * @param {Resolver} md the resolver to use to look up files
+ * @param {Object} [options] configuration object
+ * @param {String} [options.source='described-resolve'] the resolver hook to
+ * tap into
+ * @param {String} [options.target='resolve'] the resolver hook to pass the
+ * resolved file path on to
+ * @returns {Object} webpack resolve plugin
+ *
+ * @example
+ * module.exports = moduledev.fromFile().then(md => ({
+ *   entry: './src/index.js',
+ *   resolve: {
+ *     plugins: [ moduledev.webpackPlugin(md) ]
+ *   }
+ * }));
+ */
+function webpackPlugin(md, options) {
+  options = options || {};
+
+  const source = options.source || 'described-resolve',
+        target = options.target || 'resolve';
+
+  return {
+    apply: function (resolver) {
+      const targetHook = resolver.ensureHook(target);
+
+      resolver.getHook(source).tapAsync(PLUGIN_NAME, (request, resolveContext, callback) => {
+        const id = request.request;
+
+        if (!isModuleRequest(id)) {
+          return callback();
+        }
+
+        md.getFilePath(id, (err, filePath) => {
+          if (err || !filePath) {
+            return callback(toResolveError(id, err));
+          }
+
+          const obj = Object.assign({}, request, { request: filePath });
+          resolver.doResolve(targetHook, obj,
+            'resolved Niagara module request ' + id + ' to ' + filePath,
+            resolveContext, callback);
+        });
+      });
+    }
+  };
+}
+
+function toResolveError(id, err) {
+  const reason = err ? (err.message || String(err)) : 'malformed module ID',
+        error = new Error("Can't resolve '" + id + "' in moduledev or " +
+          "niagara_home/modules: " + reason);
+  error.details = reason;
+  return error;
+}
+
+module.exports = webpackPlugin;
@@ -0,0 +1,145 @@
+'use strict';
+
+const moduledev = require('../lib/moduledev'),
+      properties = require('properties');
+
+
+describe("niagara-moduledev bundler plugins", function () {
+  const testPropsString = properties.stringify({
+    bajaScript: 'spec/niagaraDevHome/bajaScript'
+  });
+
+  let md;
+
+  beforeEach(function (done) {
+    moduledev.fromRawString(testPropsString, {
+      niagaraHome: 'spec/niagaraHome'
+    }, function (err, m) {
+      md = m;
+      done();
+    });
+  });
+
+  describe(".rollupPlugin()", function () {
+    let plugin;
+
+    beforeEach(function () {
+      plugin = moduledev.rollupPlugin(md, { external: [ 'bajaScript' ] });
+    });
+
+    it("resolves nmodule IDs and /module/ URLs to module:// ORDs", function () {
+      expect(plugin.resolveId('nmodule/testModule/rc/foo')).toBe('module://testModule/rc/foo.js');
+      expect(plugin.resolveId('/module/testModule/rc/foo.js')).toBe('module://testModule/rc/foo.js');
+      expect(plugin.resolveId('module://testModule/rc/foo.js')).toBe('module://testModule/rc/foo.js');
+    });
+
+    it("resolves relative imports against the importing ORD", function () {
+      expect(plugin.resolveId('./ux-dir/ux-dir-file', 'module://testModule/rc/foo.js'))
+        .toBe('module://testModule/rc/ux-dir/ux-dir-file.js');
+      expect(plugin.resolveId('../../../etc/passwd', 'module://testModule/rc/foo.js'))
+        .toBe(null);
+    });
+
+    it("marks configured modules as external", function () {
+      expect(plugin.resolveId('nmodule/bajaScript/rc/bajaScript-rt'))
+        .toEqual({ id: 'nmodule/bajaScript/rc/bajaScript-rt', external: true });
+    });
+
+    it("ignores other imports", function () {
+      expect(plugin.resolveId('./foo', '/project/src/index.js')).toBe(null);
+      expect(plugin.resolveId('lodash')).toBe(null);
+      expect(plugin.load('/project/src/index.js')).toBe(null);
+    });
+
+    it("loads contents directly from a jar", function (done) {
+      plugin.load('module://testModule/rc/rt-only.js')
+        .then(function (contents) {
+          expect(contents).toBe("module.exports = 'testModule-rt/rc/rt-only.js';");
+          done();
+        });
+    });
+
+    it("rejects if the file cannot be found", function (done) {
+      plugin.load('module://testModule/rc/nonexistent.js')
+        .catch(function (err) {
+          expect(err).toEqual(jasmine.any(Error));
+          done();
+        });
+    });
+  });
+
+  describe(".esbuildPlugin()", function () {
+    let resolvers, loaders;
+
+    function resolve(args) {
+      const matching = resolvers.filter(function (r) {
+        return r.options.filter.test(args.path) &&
+          (r.options.namespace || 'file') === (args.namespace || 'file');
+      });
+      return matching.length ? matching[0].callback(args) : undefined;
+    }
+
+    beforeEach(function () {
+      resolvers = [];
+      loaders = [];
+      moduledev.esbuildPlugin(md, { external: [ 'bajaScript' ] }).setup({
+        onResolve: function (options, callback) {
+          resolvers.push({ options: options, callback: callback });
+        },
+        onLoad: function (options, callback) {
+          loaders.push({ options: options, callback: callback });
+        }
+      });
+    });
+
+    it("resolves nmodule IDs into the niagara-module namespace", function () {
+      expect(resolve({ path: 'nmodule/testModule/rc/foo' }))
+        .toEqual({ path: 'module://testModule/rc/foo.js', namespace: 'niagara-module' });
+    });
+
+    it("resolves relative imports inside the namespace", function () {
+      expect(resolve({
+        path: './ux-only',
+        importer: 'module://testModule/rc/foo.js',
+        namespace: 'niagara-module'
+      })).toEqual({ path: 'module://testModule/rc/ux-only.js', namespace: 'niagara-module' });
+    });
+
+    it("marks configured modules as external", function () {
+      expect(resolve({ path: 'nmodule/bajaScript/rc/bajaScript-rt' }))
+        .toEqual({ path: 'nmodule/bajaScript/rc/bajaScript-rt', external: true });
+    });
+
+    it("loads contents directly from a jar", function (done) {
+      loaders[0].callback({ path: 'module://testModule/rc/foo.js', namespace: 'niagara-module' })
+        .then(function (result) {
+          expect(String(result.contents)).toBe("module.exports = 'testModule-ux/rc/foo.js';");
+          expect(result.loader).toBe('js');
+          done();
+        });
+    });
+
+    it("picks a loader for non-JS files", function (done) {
+      moduledev.esbuildPlugin(md).setup({
+        onResolve: function () {},
+        onLoad: function (options, callback) {
+          callback({ path: 'module://bajaScript/rc/bajaScript-template.hbs.js' })
+            .then(function (result) {
+              expect(String(result.contents)).toBe('i am a {{template}}');
+              expect(result.loader).toBe('text');
+              done();
+            });
+        }
+      });
+    });
+
+    it("reports load failures as esbuild errors", function (done) {
+      loaders[0].callback({ path: 'module://testModule/rc/nonexistent.js' })
+        .then(function (result) {
+          expect(result.errors.length).toBe(1);
+          expect(result.errors[0].text).toMatch(/nonexistent\.js/);
+          done();
+        });
+    });
+  });
+});
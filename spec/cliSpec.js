@@ -0,0 +1,105 @@
+'use strict';
+
+const cli = require('../lib/cli'),
+      fs = require('fs-extra'),
+      path = require('path');
+
+
+describe("niagara-moduledev CLI", function () {
+  const testFileName = "test-cli-moduledev.properties",
+        niagaraHome = 'spec/niagaraHome',
+        extractDir = 'test-cli-extract';
+
+  let io;
+
+  function run(args) {
+    return cli.run([ '--niagara-home', niagaraHome,
+      '--properties', testFileName ].concat(args), io);
+  }
+
+  function output() {
+    let str = '';
+    return {
+      write: function (data) { str += data; },
+      toString: function () { return str; }
+    };
+  }
+
+  beforeEach(function () {
+    io = { stdout: output(), stderr: output() };
+    fs.writeFileSync(testFileName, 'bajaScript=spec/niagaraDevHome/bajaScript');
+  });
+
+  afterEach(function () {
+    fs.unlinkSync(testFileName);
+    fs.removeSync(extractDir);
+  });
+
+  it("resolves an ORD to a moduledev file path", function (done) {
+    run([ 'resolve', 'module://bajaScript/rc/bajaScript-rt.js' ])
+      .then(function (code) {
+        expect(code).toBe(0);
+        expect(String(io.stdout)).toBe(path.join('spec/niagaraDevHome/bajaScript',
+          'bajaScript-rt/src/rc/bajaScript-rt.js') + '\n');
+        done();
+      });
+  });
+
+  it("prints the contents of a file from a jar", function (done) {
+    run([ 'cat', 'nmodule/testModule/rc/rt-only' ])
+      .then(function (code) {
+        expect(code).toBe(0);
+        expect(String(io.stdout)).toBe("module.exports = 'testModule-rt/rc/rt-only.js';");
+        done();
+      });
+  });
+
+  it("extracts a file into a directory", function (done) {
+    fs.mkdirsSync(extractDir);
+    run([ 'extract', '/module/testModule/rc/foo.js', extractDir ])
+      .then(function (code) {
+        expect(code).toBe(0);
+        expect(String(fs.readFileSync(path.join(extractDir, 'foo.js'))))
+          .toBe("module.exports = 'testModule-ux/rc/foo.js';");
+        done();
+      });
+  });
+
+  it("lists moduledev entries and jars", function (done) {
+    run([ 'modules' ])
+      .then(function (code) {
+        expect(code).toBe(0);
+        expect(String(io.stdout)).toBe(
+          'bajaScript\tspec/niagaraDevHome/bajaScript\t-\n' +
+          'testModule\t-\ttestModule-rt.jar,testModule-ux.jar,testModule.jar\n');
+        done();
+      });
+  });
+
+  it("exits 1 if the file cannot be found", function (done) {
+    run([ 'resolve', 'module://testModule/rc/nonexistent.js' ])
+      .then(function (code) {
+        expect(code).toBe(1);
+        expect(String(io.stderr)).toMatch(/^niagara-moduledev: /);
+        done();
+      });
+  });
+
+  it("exits 1 if the given properties file cannot be read", function (done) {
+    cli.run([ '--niagara-home', niagaraHome, '--properties', 'nonexistent.properties',
+      'resolve', 'module://testModule/rc/foo.js' ], io)
+      .then(function (code) {
+        expect(code).toBe(1);
+        done();
+      });
+  });
+
+  it("exits 2 with usage for an unknown command", function (done) {
+    run([ 'frobnicate' ])
+      .then(function (code) {
+        expect(code).toBe(2);
+        expect(String(io.stderr)).toMatch(/^Usage:/);
+        done();
+      });
+  });
+});
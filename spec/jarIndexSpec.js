@@ -0,0 +1,160 @@
+'use strict';
+
+const jarIndex = require('../lib/util/jarIndex'),
+      fs = require('fs-extra'),
+      path = require('path');
+
+
+describe("jar index", function () {
+  const modulesDir = 'spec/niagaraHome/modules',
+        workDir = 'test-jar-index',
+        indexDir = path.join(workDir, 'index'),
+        jarPath = path.resolve(workDir, 'copied-ux.jar');
+
+  beforeEach(function () {
+    fs.mkdirsSync(workDir);
+    fs.copySync(path.join(modulesDir, 'testModule-ux.jar'), jarPath);
+  });
+
+  afterEach(function () {
+    fs.removeSync(workDir);
+  });
+
+  it("indexes files and directories in a jar", function (done) {
+    jarIndex.getJarIndex(path.join(modulesDir, 'testModule-rt.jar'))
+      .then(function (index) {
+        expect(jarIndex.findEntry(index, 'rc/rt-only.js'))
+          .toEqual({
+            entryName: 'rc/rt-only.js',
+            isDirectory: false,
+            size: 47,
+            time: jasmine.any(Number),
+            offset: jasmine.any(Number),
+            compressedSize: 47,
+            method: 0
+          });
+        expect(jarIndex.findEntry(index, 'rc/rt-dir'))
+          .toEqual({
+            entryName: 'rc/rt-dir/',
+            isDirectory: true,
+            size: 0,
+            time: jasmine.any(Number),
+            offset: jasmine.any(Number),
+            compressedSize: 0,
+            method: 0
+          });
+        expect(jarIndex.findEntry(index, 'rc/ux-only.js')).toBeUndefined();
+        done();
+      });
+  });
+
+  it("answers whether a jar contains a file", function (done) {
+    const rtJar = path.join(modulesDir, 'testModule-rt.jar');
+    Promise.all([
+      jarIndex.jarContains(rtJar, 'rc/rt-only.js'),
+      jarIndex.jarContains(rtJar, 'rc/nope.js')
+    ])
+      .then(function (results) {
+        expect(results).toEqual([ true, false ]);
+        done();
+      });
+  });
+
+  it("rejects if the jar does not exist", function (done) {
+    jarIndex.getJarIndex(path.join(modulesDir, 'nonexistent.jar'))
+      .catch(function (err) {
+        expect(err).toEqual(jasmine.any(Error));
+        done();
+      });
+  });
+
+  it("persists the index to indexDir", function (done) {
+    jarIndex.getJarIndex(jarPath, { indexDir: indexDir })
+      .then(function () {
+        const files = fs.readdirSync(indexDir);
+        expect(files.length).toBe(1);
+        const json = JSON.parse(String(fs.readFileSync(path.join(indexDir, files[0]))));
+        expect(json.jarPath).toBe(jarPath);
+        expect(json.entries).toContain({
+          entryName: 'rc/ux-only.js',
+          isDirectory: false,
+          size: 47,
+          time: jasmine.any(Number),
+          offset: jasmine.any(Number),
+          compressedSize: 47,
+          method: 0
+        });
+        done();
+      });
+  });
+
+  it("reads a persisted index instead of scanning the jar", function (done) {
+    const otherJar = path.resolve(workDir, 'persisted-ux.jar');
+    fs.copySync(jarPath, otherJar);
+
+    //seed an index file, then point the jar somewhere that cannot be scanned
+    jarIndex.getJarIndex(otherJar, { indexDir: indexDir })
+      .then(function () {
+        const file = path.join(indexDir, fs.readdirSync(indexDir)[0]),
+              json = JSON.parse(String(fs.readFileSync(file))),
+              stat = fs.statSync(otherJar),
+              newMtime = new Date(stat.mtime.getTime() + 10000);
+
+        fs.utimesSync(otherJar, newMtime, newMtime);
+        json.mtime = fs.statSync(otherJar).mtime.getTime();
+        json.entries.push({ entryName: 'rc/only-in-index.js', isDirectory: false });
+        fs.writeFileSync(file, JSON.stringify(json));
+
+        return jarIndex.jarContains(otherJar, 'rc/only-in-index.js', { indexDir: indexDir });
+      })
+      .then(function (contains) {
+        expect(contains).toBe(true);
+        done();
+      });
+  });
+
+  it("reads a single entry without reading the whole jar", function (done) {
+    jarIndex.getJarIndex(jarPath)
+      .then(function (index) {
+        spyOn(fs, 'readFileSync').andCallThrough();
+        return Promise.all([
+          jarIndex.readEntry(index, jarIndex.findEntry(index, 'rc/ux-only.js')),
+          //deflated
+          jarIndex.readEntry(index, jarIndex.findEntry(index, 'META-INF/module.xml'))
+        ]);
+      })
+      .then(function (results) {
+        expect(String(results[0])).toBe("module.exports = 'testModule-ux/rc/ux-only.js';");
+        expect(String(results[1])).toMatch(/^<\?xml/);
+        expect(fs.readFileSync).not.toHaveBeenCalled();
+        done();
+      });
+  });
+
+  it("rejects reading an entry if the jar changed since indexing", function (done) {
+    jarIndex.getJarIndex(jarPath)
+      .then(function (index) {
+        fs.writeFileSync(jarPath, new Array(1001).join('x'));
+        return jarIndex.readEntry(index, jarIndex.findEntry(index, 'rc/ux-only.js'));
+      })
+      .catch(function (err) {
+        expect(err.message).toMatch(/could not read rc\/ux-only\.js/);
+        done();
+      });
+  });
+
+  it("rebuilds the index when the jar changes", function (done) {
+    jarIndex.jarContains(jarPath, 'rc/ux-only.js')
+      .then(function (contains) {
+        expect(contains).toBe(true);
+        fs.copySync(path.join(modulesDir, 'testModule.jar'), jarPath);
+        const newMtime = new Date(Date.now() + 10000);
+        fs.utimesSync(jarPath, newMtime, newMtime);
+        return jarIndex.jarContains(jarPath, 'rc/ux-only.js');
+      })
+      .then(function (contains) {
+        expect(contains).toBe(false);
+        done();
+      });
+  });
+});
@@ -0,0 +1,132 @@
+'use strict';
+
+const karmaPlugin = require('../lib/moduledev').karmaPlugin,
+      fs = require('fs'),
+      http = require('http');
+
+
+describe("niagara-moduledev Karma plugin", function () {
+  const initFramework = karmaPlugin['framework:niagara-moduledev'][1],
+        createMiddleware = karmaPlugin['middleware:niagara-moduledev'][1],
+        testFileName = 'test-karma-moduledev.properties';
+
+  function makeConfig(options) {
+    return {
+      files: [ 'first.js' ],
+      niagaraModuledev: Object.assign({
+        niagaraHome: 'spec/niagaraHome',
+        properties: testFileName
+      }, options)
+    };
+  }
+
+  beforeEach(function () {
+    fs.writeFileSync(testFileName, 'bajaScript=spec/niagaraDevHome/bajaScript');
+  });
+
+  afterEach(function () {
+    fs.unlinkSync(testFileName);
+  });
+
+  describe("framework", function () {
+    it("registers the middleware", function () {
+      const config = makeConfig();
+      initFramework(config);
+      expect(config.beforeMiddleware).toEqual([ 'niagara-moduledev' ]);
+      expect(config.files).toEqual([ 'first.js' ]);
+    });
+
+    it("appends a RequireJS bootstrap file if requested", function () {
+      const config = makeConfig({
+        requireJs: { config: { paths: { jquery: '/vendor/jquery' } } }
+      });
+      initFramework(config);
+
+      const bootstrap = config.files[1];
+      expect(bootstrap.included).toBe(true);
+      expect(bootstrap.watched).toBe(false);
+
+      const contents = String(fs.readFileSync(bootstrap.pattern));
+      expect(contents).toContain('"paths":{"nmodule":"/module","jquery":"/vendor/jquery"}');
+      expect(contents).toContain('"baseUrl":"/base"');
+      expect(contents).toContain('new RegExp("Spec\\\\.js$")');
+    });
+  });
+
+  describe("middleware", function () {
+    let server, port;
+
+    function get(url, callback) {
+      http.get({ port: port, path: url }, function (res) {
+        let body = '';
+        res.on('data', function (chunk) { body += chunk; });
+        res.on('end', function () { callback(res, body); });
+      });
+    }
+
+    function listen(options, done) {
+      const mw = createMiddleware(makeConfig(options));
+      server = http.createServer(function (req, res) {
+        mw(req, res, function () {
+          res.statusCode = 404;
+          res.end();
+        });
+      });
+      server.listen(0, function () {
+        port = server.address().port;
+        done();
+      });
+    }
+
+    beforeEach(function (done) {
+      listen({}, done);
+    });
+
+    afterEach(function (done) {
+      server.close(done);
+    });
+
+    it("serves /module/ files from moduledev", function (done) {
+      get('/module/bajaScript/rc/bajaScript-rt.js', function (res, body) {
+        expect(res.statusCode).toBe(200);
+        expect(body).toBe('module.exports = "i am bajaScript-rt";');
+        done();
+      });
+    });
+
+    it("serves /module/xyzTest/ files from srcTest", function (done) {
+      get('/module/bajaScriptTest/rc/bajaScript-ux-spec.js', function (res) {
+        expect(res.statusCode).toBe(200);
+        done();
+      });
+    });
+
+    it("serves /module/ files from jars", function (done) {
+      get('/module/testModule/rc/foo.js', function (res, body) {
+        expect(body).toBe("module.exports = 'testModule-ux/rc/foo.js';");
+        done();
+      });
+    });
+
+    it("passes other requests through", function (done) {
+      get('/base/foo.js', function (res) {
+        expect(res.statusCode).toBe(404);
+        done();
+      });
+    });
+
+    it("passes other options to the resolver", function (done) {
+      server.close(function () {
+        listen({ profiles: [ '-rt' ] }, function () {
+          get('/module/testModule/rc/ux-only.js', function (res) {
+            expect(res.statusCode).toBe(404);
+            get('/module/testModule/rc/foo.js', function (res, body) {
+              expect(body).toBe("module.exports = 'testModule-rt/rc/foo.js';");
+              done();
+            });
+          });
+        });
+      });
+    });
+  });
+});
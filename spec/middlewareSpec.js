@@ -0,0 +1,195 @@
+'use strict';
+
+const moduledev = require('../lib/moduledev'),
+      properties = require('properties'),
+      http = require('http');
+
+
+describe("niagara-moduledev middleware", function () {
+  const testProps = {
+          bajaScript: 'spec/niagaraDevHome/bajaScript'
+        },
+        testPropsString = properties.stringify(testProps);
+
+  let server, port, events;
+
+  function get(url, headers, callback) {
+    if (typeof headers === 'function') {
+      callback = headers;
+      headers = {};
+    }
+
+    http.get({ port: port, path: url, headers: headers }, function (res) {
+      let body = '';
+      res.on('data', function (chunk) { body += chunk; });
+      res.on('end', function () {
+        callback(res, body);
+      });
+    });
+  }
+
+  beforeEach(function (done) {
+    moduledev.fromRawString(testPropsString, {
+      niagaraHome: 'spec/niagaraHome'
+    }, function (err, md) {
+      const mw = moduledev.middleware(md);
+      events = [];
+      [ 'resolved', 'fallback', 'miss' ].forEach(function (name) {
+        md.on(name, function (event) { events.push([ name, event ]); });
+      });
+      server = http.createServer(function (req, res) {
+        mw(req, res, function (err) {
+          res.statusCode = err ? 500 : 404;
+          res.end('next');
+        });
+      });
+      server.listen(0, function () {
+        port = server.address().port;
+        done();
+      });
+    });
+  });
+
+  afterEach(function (done) {
+    server.close(done);
+  });
+
+  it("serves a file from moduledev", function (done) {
+    get('/module/bajaScript/rc/bajaScript-rt.js', function (res, body) {
+      expect(res.statusCode).toBe(200);
+      expect(res.headers['content-type']).toMatch(/^application\/javascript/);
+      expect(body).toBe('module.exports = "i am bajaScript-rt";');
+      done();
+    });
+  });
+
+  it("serves a file from a jar", function (done) {
+    get('/module/testModule/rc/foo.js', function (res, body) {
+      expect(res.statusCode).toBe(200);
+      expect(body).toBe("module.exports = 'testModule-ux/rc/foo.js';");
+      done();
+    });
+  });
+
+  it("sets Content-Type from the file extension", function (done) {
+    get('/module/bajaScript/rc/bajaScript-template.hbs', function (res, body) {
+      expect(res.headers['content-type']).toMatch(/^text\/x-handlebars-template/);
+      expect(body).toBe('i am a {{template}}');
+      done();
+    });
+  });
+
+  it("resolves a request with no .js extension", function (done) {
+    get('/module/testModule/rc/foo', function (res, body) {
+      expect(res.statusCode).toBe(200);
+      expect(body).toBe("module.exports = 'testModule-ux/rc/foo.js';");
+      done();
+    });
+  });
+
+  it("emits resolved once for a file it serves", function (done) {
+    get('/module/bajaScript/rc/bajaScript-rt.js', function () {
+      expect(events.map(function (e) { return e[0]; })).toEqual([ 'resolved' ]);
+      done();
+    });
+  });
+
+  it("does not emit fallback or miss while trying the .js extension", function (done) {
+    get('/module/bajaScript/rc/bajaScript-rt', function (res) {
+      expect(res.statusCode).toBe(200);
+      expect(events.map(function (e) { return e[0]; })).toEqual([ 'resolved' ]);
+      expect(events[0][1].source).toBe('moduledev');
+      done();
+    });
+  });
+
+  it("ignores the query string", function (done) {
+    get('/module/testModule/rc/foo.js?v=42', function (res) {
+      expect(res.statusCode).toBe(200);
+      done();
+    });
+  });
+
+  it("decodes a percent-encoded path", function (done) {
+    get('/module/testModule/rc/f%6Fo.js?v=42', function (res, body) {
+      expect(res.statusCode).toBe(200);
+      expect(body).toBe("module.exports = 'testModule-ux/rc/foo.js';");
+      done();
+    });
+  });
+
+  it("serves an /ord/ request for a module:// ORD", function (done) {
+    get('/ord/local:%7Cmodule://testModule/rc/foo.js', function (res, body) {
+      expect(res.statusCode).toBe(200);
+      expect(res.headers['content-type']).toMatch(/^application\/javascript/);
+      expect(body).toBe("module.exports = 'testModule-ux/rc/foo.js';");
+      done();
+    });
+  });
+
+  it("sends 304 if ETag matches", function (done) {
+    get('/module/testModule/rc/foo.js', function (res) {
+      const etag = res.headers.etag;
+      expect(etag).toBeTruthy();
+      get('/module/testModule/rc/foo.js', { 'If-None-Match': etag }, function (res, body) {
+        expect(res.statusCode).toBe(304);
+        expect(body).toBe('');
+        done();
+      });
+    });
+  });
+
+  it("sends 304 if not modified since Last-Modified", function (done) {
+    get('/module/testModule/rc/foo.js', function (res) {
+      const lastModified = res.headers['last-modified'];
+      expect(lastModified).toBeTruthy();
+      get('/module/testModule/rc/foo.js', { 'If-Modified-Since': lastModified }, function (res) {
+        expect(res.statusCode).toBe(304);
+        done();
+      });
+    });
+  });
+
+  it("falls through to next() for directories", function (done) {
+    get('/module/testModule/rc', function (res, body) {
+      expect(res.statusCode).toBe(404);
+      expect(body).toBe('next');
+      done();
+    });
+  });
+
+  it("falls through to next() for missing files", function (done) {
+    get('/module/testModule/rc/nonexistent.js', function (res, body) {
+      expect(res.statusCode).toBe(404);
+      expect(body).toBe('next');
+      done();
+    });
+  });
+
+  it("falls through to next() for a path that climbs out of the module", function (done) {
+    get('/module/bajaScript/%2e%2e/%2e%2e/%2e%2e/package.json', function (res, body) {
+      expect(res.statusCode).toBe(404);
+      expect(body).toBe('next');
+      done();
+    });
+  });
+
+  it("falls through to next() for non-/module/ requests", function (done) {
+    get('/ord/station:|slot:/', function (res, body) {
+      expect(res.statusCode).toBe(404);
+      expect(body).toBe('next');
+      done();
+    });
+  });
+
+  it("passes a JAR_UNREADABLE error to next()", function (done) {
+    const err = new moduledev.errors.JarUnreadableError('cannot read jar'),
+          mw = moduledev.middleware({ stat: function () { return Promise.reject(err); } });
+
+    mw({ method: 'GET', url: '/module/testModule/rc/foo.js', headers: {} }, {},
+      function (nextErr) {
+        expect(nextErr).toBe(err);
+        done();
+      });
+  });
+});
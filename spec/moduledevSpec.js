@@ -3,7 +3,8 @@
 const moduledev = require('../lib/moduledev'),
       ModuleDev = moduledev.ModuleDev,
       properties = require('properties'),
-      fs = require('fs'),
+      AdmZip = require('adm-zip'),
+      fs = require('fs-extra'),
       path = require('path');
 
 
@@ -48,6 +49,13 @@ describe("niagara-moduledev", function () {
         .toBe(filename.replace(/\//g, path.sep));
     });
     
+    it("uses the first niagaraHome if several are given", function () {
+      const filename = "/opt/niagara/dev/etc/moduledev.properties";
+      expect(moduledev.getDefaultFilePath({
+        niagaraHome: [ "/opt/niagara/dev", "/opt/niagara/release" ]
+      })).toBe(filename.replace(/\//g, path.sep));
+    });
+    
     it("returns null if niagara_home is not defined", function () {
       delete process.env.niagara_home;
       expect(moduledev.getDefaultFilePath()).toBe(null);
@@ -68,6 +76,36 @@ describe("niagara-moduledev", function () {
         done();
       });
     });
+
+    it("returns a Promise if no callback given", function (done) {
+      const promise = moduledev.fromRawString(testPropsString, {});
+      expect(promise).toEqual(jasmine.any(Promise));
+      promise
+        .then(function (md) {
+          expect(md).toEqual(jasmine.any(ModuleDev));
+          done();
+        });
+    });
+
+    it("rejects the Promise if no string given", function (done) {
+      moduledev.fromRawString('')
+        .catch(function (err) {
+          expect(err.code).toBe('INVALID_CONFIG');
+          done();
+        });
+    });
+
+    it("rejects with PROPERTIES_PARSE_ERROR if the string cannot be parsed", function (done) {
+      spyOn(properties, 'parse').andCallFake(function () {
+        throw new Error('bad properties');
+      });
+      moduledev.fromRawString('bajaScript=d:/whatever')
+        .catch(function (err) {
+          expect(err).toEqual(jasmine.any(moduledev.errors.PropertiesParseError));
+          expect(err.code).toBe('PROPERTIES_PARSE_ERROR');
+          done();
+        });
+    });
   });
 
   describe(".fromFile()", function () {
@@ -124,10 +162,108 @@ describe("niagara-moduledev", function () {
       });
     });
 
-    it("passes a blank ModuleDev instance to callback if file not found", function (done) {
+    it("returns a Promise if no callback given", function (done) {
+      fs.writeFileSync(testFileName, testPropsString);
+      const promise = moduledev.fromFile(testFileName);
+      expect(promise).toEqual(jasmine.any(Promise));
+      promise
+        .then(function (md) {
+          fs.unlinkSync(testFileName);
+          verifyContents(md, done);
+        });
+    });
+
+    it("looks in niagara_home/etc/moduledev.properties if no args given", function (done) {
+      const filePath = path.join(".", "etc", "moduledev.properties");
+      fs.writeFileSync(filePath, testPropsString);
+      moduledev.fromFile()
+        .then(function (md) {
+          fs.unlinkSync(filePath);
+          verifyContents(md, done);
+        });
+    });
+
+    it("rejects the Promise if niagara_home not present or given", function (done) {
+      delete process.env.niagara_home;
+      moduledev.fromFile(testFileName, {})
+        .catch(function (err) {
+          expect(err).toEqual(jasmine.any(Error));
+          done();
+        });
+    });
+
+    it("calls back FILE_NOT_FOUND if file not found", function (done) {
       moduledev.fromFile("nonexistent.properties", function (err, md) {
+        expect(md).toBeUndefined();
+        expect(err.code).toBe('FILE_NOT_FOUND');
+        expect(err.path).toBe("nonexistent.properties");
+        done();
+      });
+    });
+
+    it("passes a blank ModuleDev instance to callback if default file not found", function (done) {
+      process.env.niagara_home = "spec/niagaraHome";
+      moduledev.fromFile(function (err, md) {
+        expect(err).toBeFalsy();
         expect(md).toEqual(jasmine.any(ModuleDev));
-        matchPath(md, "/module/bajaScript/rc", undefined, done);
+        verifyError(md, "/module/bajaScript/rc/bajaScript-rt.js", 'MODULE_NOT_FOUND', done);
+      });
+    });
+
+    describe("with a list of files", function () {
+      const overrideFileName = "test-override-moduledev.properties";
+
+      beforeEach(function () {
+        fs.writeFileSync(testFileName, testPropsString);
+        fs.writeFileSync(overrideFileName, properties.stringify({
+          bajaScript: 'somewhere/else',
+          testModule: 'spec/niagaraDevHome/testModule'
+        }));
+      });
+
+      afterEach(function () {
+        fs.unlinkSync(testFileName);
+        fs.unlinkSync(overrideFileName);
+      });
+
+      it("merges the files, with later entries winning", function (done) {
+        moduledev.fromFile([ testFileName, overrideFileName ])
+          .then(function (md) {
+            return md.listModules();
+          })
+          .then(function (modules) {
+            const byName = {};
+            modules.forEach(function (module) { byName[module.name] = module; });
+            expect(byName.bajaScript.moduleDev).toBe('somewhere/else');
+            expect(byName.bajaScript.propertiesFile).toBe(overrideFileName);
+            expect(byName.bajaux.moduleDev).toBe(testProps.bajaux);
+            expect(byName.bajaux.propertiesFile).toBe(testFileName);
+            expect(byName.testModule.propertiesFile).toBe(overrideFileName);
+            done();
+          });
+      });
+
+      it("skips files that do not exist", function (done) {
+        moduledev.fromFile([ testFileName, "nonexistent.properties" ])
+          .then(function (md) {
+            verifyContents(md, done);
+          });
+      });
+
+      it("reloads all of the files", function (done) {
+        moduledev.fromFile([ testFileName, overrideFileName ])
+          .then(function (md) {
+            fs.writeFileSync(overrideFileName, '');
+            return md.reload();
+          })
+          .then(function (changes) {
+            expect(changes).toEqual({
+              added: [],
+              removed: [ 'testModule' ],
+              repointed: [ 'bajaScript' ]
+            });
+            done();
+          });
       });
     });
   });
@@ -154,12 +290,37 @@ describe("niagara-moduledev", function () {
             testProps.bajaScript + "/bajaScript-ux/srcTest/rc/bajaScript-ux-spec.js", done);
         });
 
-        it("calls back undefined if the ORD is malformed", function (done) {
-          matchPath(md, "module:/bajaux/rc/foo", undefined, done);
+        it("ignores the query string and fragment of a URL", function (done) {
+          matchPath(md, "/module/bajaScript/rc/bajaScript-ux.js?v=42#top",
+            testProps.bajaScript + "/bajaScript-ux/src/rc/bajaScript-ux.js", done);
+        });
+
+        it("decodes a percent-encoded URL", function (done) {
+          matchPath(md, "/module/bajaScript/rc/bajaScript%2Dux.js",
+            testProps.bajaScript + "/bajaScript-ux/src/rc/bajaScript-ux.js", done);
+        });
+
+        it("resolves a module:// ORD at the end of an ORD chain", function (done) {
+          matchPath(md, "local:|module://bajaScript/rc/bajaScript-ux.js",
+            testProps.bajaScript + "/bajaScript-ux/src/rc/bajaScript-ux.js", done);
+        });
+
+        it("resolves a plugin-prefixed ID with the plugin's default extension", function (done) {
+          matchPath(md, "hbs!nmodule/bajaScript/rc/bajaScript-template",
+            testProps.bajaScript + "/bajaScript-rt/src/rc/bajaScript-template.hbs", done);
         });
 
-        it("calls back undefined if the URI is malformed", function (done) {
-          matchPath(md, "/moodule/bajaux/rc/foo", undefined, done);
+        it("resolves an /ord/ URL", function (done) {
+          matchPath(md, "/ord/local:%7Cmodule://bajaScript/rc/bajaScript-ux.js",
+            testProps.bajaScript + "/bajaScript-ux/src/rc/bajaScript-ux.js", done);
+        });
+
+        it("calls back MALFORMED_ORD if the ORD is malformed", function (done) {
+          verifyError(md, "module:/bajaux/rc/foo", 'MALFORMED_ORD', done);
+        });
+
+        it("calls back MALFORMED_ORD if the URI is malformed", function (done) {
+          verifyError(md, "/moodule/bajaux/rc/foo", 'MALFORMED_ORD', done);
         });
       });
 
@@ -245,102 +406,2016 @@ describe("niagara-moduledev", function () {
         });
         
         it("calls back error if file not in module", function (done) {
-          verifyError(md, "module://testModule/rc/nonexistent.js", done);
+          verifyError(md, "module://testModule/rc/nonexistent.js", 'FILE_NOT_FOUND', done);
         });
 
         it("calls back error if module:// module not found", function (done) {
-          verifyError(md, "module://totesNonexistent/rc/wevs", done);
+          verifyError(md, "module://totesNonexistent/rc/wevs", 'MODULE_NOT_FOUND', done);
         });
 
         it("calls back error if /module/ module not found", function (done) {
-          verifyError(md, "/module/totesNonExistent/rc/nope", done);
+          verifyError(md, "/module/totesNonExistent/rc/nope", 'MODULE_NOT_FOUND', done);
+        });
+
+        it("returns a Promise if no callback given", function (done) {
+          const promise = md.getFilePath("module://testModule/rc/foo.js");
+          expect(promise).toEqual(jasmine.any(Promise));
+          promise
+            .then(function (filePath) {
+              verifyFileContents(filePath, 'testModule-ux/rc/foo.js', done);
+            });
+        });
+
+        it("rejects the Promise if file not in module", function (done) {
+          md.getFilePath("module://testModule/rc/nonexistent.js")
+            .catch(function (err) {
+              expect(err).toEqual(jasmine.any(Error));
+              done();
+            });
         });
       });
     });
     
-    describe(".getRequireJsPaths()", function () {
-      let niagaraHome = 'spec/niagaraHome',
-          md;
+    describe("config.profiles", function () {
+      const copiedHome = 'test-niagara-home';
+
+      function read(config, ord) {
+        return new ModuleDev(testProps, Object.assign({
+          niagaraHome: 'spec/niagaraHome'
+        }, config)).readFile(ord).then(String);
+      }
+
+      afterEach(function () {
+        fs.removeSync(copiedHome);
+      });
+
+      it("searches jars in the configured order", function (done) {
+        Promise.all([
+          read({}, 'module://testModule/rc/foo.js'),
+          read({ profiles: [ '-rt', '-ux' ] }, 'module://testModule/rc/foo.js'),
+          read({ profiles: [ 'rt', '' ] }, 'module://testModule/rc/foo.js')
+        ])
+          .then(function (results) {
+            expect(results).toEqual([
+              "module.exports = 'testModule-ux/rc/foo.js';",
+              "module.exports = 'testModule-rt/rc/foo.js';",
+              "module.exports = 'testModule-rt/rc/foo.js';"
+            ]);
+            done();
+          });
+      });
+
+      it("only searches the configured profiles", function (done) {
+        read({ profiles: [ '-rt' ] }, 'module://testModule/rc/ux-only.js')
+          .catch(function (err) {
+            expect(err).toEqual(jasmine.any(Error));
+            done();
+          });
+      });
+
+      it("applies to moduledev profile directories", function (done) {
+        const md = new ModuleDev(testProps, {
+          niagaraHome: 'spec/niagaraHome',
+          profiles: [ '-ux' ]
+        });
+
+        md.stat('nmodule/bajaScript/rc/bajaScript-rt')
+          .catch(function (err) {
+            expect(err).toEqual(jasmine.any(Error));
+            return md.stat('nmodule/bajaScript/rc/bajaScript-ux');
+          })
+          .then(function (stats) {
+            expect(stats.path).toBe(path.join('spec/niagaraDevHome/bajaScript',
+              'bajaScript-ux/src/rc/bajaScript-ux.js'));
+            done();
+          });
+      });
+
+      it("can be configured per module", function (done) {
+        const profiles = { testModule: [ '' ], '*': [ '-rt' ] };
+        Promise.all([
+          read({ profiles: profiles }, 'module://testModule/rc/foo.js'),
+          read({ profiles: profiles }, 'nmodule/bajaScript/rc/bajaScript-rt')
+        ])
+          .then(function (results) {
+            expect(results).toEqual([
+              "module.exports = 'testModule/rc/foo.js';",
+              'module.exports = "i am bajaScript-rt";'
+            ]);
+            done();
+          });
+      });
+
+      it("supports custom profiles", function (done) {
+        fs.mkdirsSync(path.join(copiedHome, 'modules'));
+        fs.copySync('spec/niagaraHome/modules/testModule-rt.jar',
+          path.join(copiedHome, 'modules', 'testModule-doc.jar'));
+
+        const md = new ModuleDev({}, {
+          niagaraHome: copiedHome,
+          profiles: [ '-doc' ]
+        });
+
+        Promise.all([ md.readFile('module://testModule/rc/rt-only.js'), md.listModules() ])
+          .then(function (results) {
+            expect(String(results[0])).toBe("module.exports = 'testModule-rt/rc/rt-only.js';");
+            expect(results[1]).toEqual([ {
+              name: 'testModule',
+              jars: [ 'testModule-doc.jar' ],
+              niagaraHome: copiedHome
+            } ]);
+            done();
+          });
+      });
+    });
+
+    describe("source layouts", function () {
+      const layoutProps = {
+        bajaScript: 'spec/niagaraDevHome/bajaScript',
+        'bajaScript.src': '{module}{profile}/src, {module}{profile}/build/generated',
+        layoutModule: 'spec/niagaraDevHome/layoutModule',
+        'layoutModule.src': 'src, build/generated',
+        'layoutModule.srcTest': 'test'
+      };
+
+      let md;
+
+      beforeEach(function () {
+        md = new ModuleDev(layoutProps, { niagaraHome: 'spec/niagaraHome' });
+      });
+
+      it("searches source roots with no profile subfolder", function (done) {
+        matchPath(md, '/module/layoutModule/rc/layout.js',
+          'spec/niagaraDevHome/layoutModule/src/rc/layout.js', done);
+      });
+
+      it("searches source roots in order", function (done) {
+        matchPath(md, 'module://layoutModule/rc/generated.js',
+          'spec/niagaraDevHome/layoutModule/build/generated/rc/generated.js', done);
+      });
+
+      it("expands {module} and {profile} in source roots", function (done) {
+        Promise.all([
+          md.getFilePath('nmodule/bajaScript/rc/bajaScript-rt'),
+          md.getFilePath('nmodule/bajaScript/rc/bajaScript-generated')
+        ])
+          .then(function (results) {
+            expect(results).toEqual([
+              path.join('spec/niagaraDevHome/bajaScript/bajaScript-rt/src/rc/bajaScript-rt.js'),
+              path.join('spec/niagaraDevHome/bajaScript/bajaScript-ux/build/generated/rc/bajaScript-generated.js')
+            ]);
+            done();
+          });
+      });
+
+      it("uses a separate source root for the test module", function (done) {
+        matchPath(md, '/module/layoutModuleTest/rc/layoutTest.js',
+          'spec/niagaraDevHome/layoutModule/test/rc/layoutTest.js', done);
+      });
+
+      it("keeps the default layout for plain entries", function (done) {
+        const plain = new ModuleDev(testProps, { niagaraHome: 'spec/niagaraHome' });
+        plain.getFilePath('nmodule/bajaScript/rc/bajaScript-generated')
+          .catch(function (err) {
+            expect(err).toEqual(jasmine.any(Error));
+            done();
+          });
+      });
+
+      it("lists files from every source root", function (done) {
+        md.listFiles('module://layoutModule/rc/*.js')
+          .then(function (files) {
+            expect(files.map(file => file.location)).toEqual([
+              path.join('spec/niagaraDevHome/layoutModule/src/rc/layout.js'),
+              path.join('spec/niagaraDevHome/layoutModule/build/generated/rc/generated.js'),
+              path.join('spec/niagaraDevHome/layoutModule/build/generated/rc/layout.js')
+            ]);
+            expect(files[0].profile).toBe('');
+            done();
+          });
+      });
+
+      it("does not list source roots as modules", function (done) {
+        md.listModules()
+          .then(function (modules) {
+            expect(modules.map(module => module.name)).toEqual([
+              'bajaScript', 'layoutModule', 'testModule'
+            ]);
+            expect(modules[1].moduleDev).toBe('spec/niagaraDevHome/layoutModule');
+            done();
+          });
+      });
+    });
+
+    describe("multiple niagara_homes", function () {
+      const firstHome = 'test-niagara-home',
+            modulesDir = path.join(firstHome, 'modules');
+
+      let md;
+
+      beforeEach(function () {
+        fs.mkdirsSync(modulesDir);
+        fs.copySync('spec/niagaraHome/modules/testModule-ux.jar',
+          path.join(modulesDir, 'otherModule-ux.jar'));
+        md = new ModuleDev({}, { niagaraHome: [ firstHome, 'spec/niagaraHome' ] });
+      });
+
+      afterEach(function () {
+        fs.removeSync(firstHome);
+      });
+
+      it("falls back to later homes for modules not in earlier ones", function (done) {
+        Promise.all([
+          md.readFile('module://otherModule/rc/ux-only.js'),
+          md.readFile('module://testModule/rc/no-profile.js')
+        ])
+          .then(function (results) {
+            expect(results.map(String)).toEqual([
+              "module.exports = 'testModule-ux/rc/ux-only.js';",
+              "module.exports = 'testModule/rc/no-profile.js';"
+            ]);
+            done();
+          });
+      });
+
+      it("reads all of a module's jars from the first home that has any", function (done) {
+        fs.copySync('spec/niagaraHome/modules/testModule.jar',
+          path.join(modulesDir, 'testModule-rt.jar'));
+
+        md.getFilePath('module://testModule/rc/foo.js')
+          .then(function (filePath) {
+            expect(String(fs.readFileSync(filePath))).toBe("module.exports = 'testModule/rc/foo.js';");
+            return md.readFile('module://testModule/rc/ux-only.js');
+          })
+          .catch(function (err) {
+            expect(err).toEqual(jasmine.any(Error));
+            done();
+          });
+      });
+
+      it("reports which home each module came from", function (done) {
+        md.listModules()
+          .then(function (modules) {
+            expect(modules).toEqual([
+              { name: 'otherModule', jars: [ 'otherModule-ux.jar' ], niagaraHome: firstHome },
+              {
+                name: 'testModule',
+                jars: [ 'testModule-rt.jar', 'testModule-ux.jar', 'testModule.jar' ],
+                niagaraHome: 'spec/niagaraHome'
+              }
+            ]);
+            done();
+          });
+      });
+    });
+
+    describe("#readFile()", function () {
+      let md;
 
       beforeEach(function (done) {
         moduledev.fromRawString(testPropsString, {
-          niagaraHome: niagaraHome
+          niagaraHome: 'spec/niagaraHome'
         }, function (err, m) {
           md = m;
           done();
         });
       });
-      
-      it("maps RequireJS IDs to file paths", function (done) {
-        md.getRequireJsPaths({
-          "bajaScript-rt": "nmodule/bajaScript/rc/bajaScript-rt",
-          "foo": "nmodule/testModule/rc/foo"
-        }, function (err, paths) {
-          expect(String(fs.readFileSync(paths["bajaScript-rt"] + '.js')))
-            .toBe('module.exports = "i am bajaScript-rt";');
-          expect(String(fs.readFileSync(paths.foo + '.js')))
-            .toBe('module.exports = \'testModule-ux/rc/foo.js\';');
+
+      it("reads a file from moduledev", function (done) {
+        md.readFile("nmodule/bajaScript/rc/bajaScript-rt", function (err, data) {
+          expect(err).toBeFalsy();
+          expect(String(data)).toBe('module.exports = "i am bajaScript-rt";');
           done();
         });
       });
-      
-      it("maps a directory", function (done) {
-        md.getRequireJsPaths({
-          "rc": "nmodule/testModule/rc"
-        }, function (err, paths) {
-          let rc = paths.rc;
-          expect(fs.statSync(rc).isDirectory()).toBe(true);
-          verifyFileContents(path.join(rc, 'foo.js'), 'testModule-ux/rc/foo.js', done);
+
+      it("reads a file directly from a jar", function (done) {
+        md.readFile("/module/testModule/rc/no-profile.js")
+          .then(function (data) {
+            expect(String(data)).toBe("module.exports = 'testModule/rc/no-profile.js';");
+            done();
+          });
+      });
+
+      it("rejects for a directory", function (done) {
+        md.readFile("module://testModule/rc")
+          .catch(function (err) {
+            expect(err).toEqual(jasmine.any(Error));
+            done();
+          });
+      });
+
+      it("rejects if the ORD is malformed", function (done) {
+        md.readFile("module:/bajaux/rc/foo")
+          .catch(function (err) {
+            expect(err).toEqual(jasmine.any(Error));
+            done();
+          });
+      });
+    });
+
+    describe("#createReadStream()", function () {
+      let md;
+
+      beforeEach(function (done) {
+        moduledev.fromRawString(testPropsString, {
+          niagaraHome: 'spec/niagaraHome'
+        }, function (err, m) {
+          md = m;
+          done();
         });
       });
 
-      it("respects an array for fallback behavior", function (done) {
-        md.getRequireJsPaths({
-          "bajaScript-rt": [
-            "nmodule/bajaScript/rc/asdf.nope",
-            "nmodule/bajaScript/rc/bajaScript-rt"
-          ]
-        }, function (err, paths) {
-          expect(String(fs.readFileSync(paths["bajaScript-rt"] + '.js')))
-            .toBe('module.exports = "i am bajaScript-rt";');
+      function readAll(stream, callback) {
+        let data = '';
+        stream
+          .on('data', function (chunk) { data += chunk; })
+          .on('error', function (err) { callback(err); })
+          .on('end', function () { callback(null, data); });
+      }
+
+      it("streams a file from moduledev", function (done) {
+        readAll(md.createReadStream("nmodule/bajaScript/rc/bajaScript-rt"), function (err, data) {
+          expect(err).toBeFalsy();
+          expect(data).toBe('module.exports = "i am bajaScript-rt";');
           done();
         });
       });
-      
-      it("calls back with error if file path not found", function (done) {
-        md.getRequireJsPaths({
-          "bajaScript-rt": "nmodule/bajaScript/rc/asdf.nope"
-        }, function (err) {
+
+      it("streams a file directly from a jar", function (done) {
+        readAll(md.createReadStream("module://testModule/rc/ux-dir/ux-dir-file.js"), function (err, data) {
+          expect(err).toBeFalsy();
+          expect(data).toBe("module.exports = 'testModule-ux/rc/ux-dir/ux-dir-file.js';");
+          done();
+        });
+      });
+
+      it("streams the file from stats without looking it up again", function (done) {
+        let resolved = 0;
+
+        md.stat("module://testModule/rc/ux-dir/ux-dir-file.js")
+          .then(function (stats) {
+            md.on('resolved', function () { resolved++; });
+            readAll(md.createReadStream(stats), function (err, data) {
+              expect(err).toBeFalsy();
+              expect(data).toBe("module.exports = 'testModule-ux/rc/ux-dir/ux-dir-file.js';");
+              expect(resolved).toBe(0);
+              done();
+            });
+          });
+      });
+
+      it("emits an error for a missing file", function (done) {
+        readAll(md.createReadStream("module://testModule/rc/nope.js"), function (err) {
           expect(err).toEqual(jasmine.any(Error));
           done();
         });
       });
 
-      it("calls back with error if file path in array not found", function (done) {
-        md.getRequireJsPaths({
-          "bajaScript-rt": [
-            "nmodule/bajaScript/rc/asdf.nope",
-            "nmodule/bajaScript/rc/asdf.stillnope"
-          ]
-        }, function (err) {
+      it("emits an error for a directory", function (done) {
+        readAll(md.createReadStream("module://bajaScript/rc"), function (err) {
           expect(err).toEqual(jasmine.any(Error));
           done();
         });
       });
-      
-      it("respects file extensions if present", function (done) {
-        md.getRequireJsPaths({
-          "bajaScript-rt": "nmodule/bajaScript/rc/bajaScript-rt.js",
-          "bajaScript-template": "nmodule/bajaScript/rc/bajaScript-template.hbs"
-        }, function (err, paths) {
+    });
+
+    describe("#stat()", function () {
+      let md;
+
+      beforeEach(function (done) {
+        moduledev.fromRawString(testPropsString, {
+          niagaraHome: 'spec/niagaraHome'
+        }, function (err, m) {
+          md = m;
+          done();
+        });
+      });
+
+      it("gets the stats of a file in moduledev", function (done) {
+        md.stat("/module/bajaScript/rc/bajaScript-rt.js", function (err, stats) {
           expect(err).toBeFalsy();
-          expect(String(fs.readFileSync(paths["bajaScript-rt"] + '.js')))
-            .toBe('module.exports = "i am bajaScript-rt";');
-          expect(String(fs.readFileSync(paths["bajaScript-template"] + '.hbs')))
-            .toBe('i am a {{template}}');
+          expect(stats.source).toBe('moduledev');
+          expect(stats.path).toBe(path.join('spec/niagaraDevHome/bajaScript',
+            'bajaScript-rt/src/rc/bajaScript-rt.js'));
+          expect(stats.size).toBe(38);
+          expect(stats.mtime).toEqual(jasmine.any(Date));
           done();
         });
       });
+
+      it("gets the stats of a jar entry without extracting it", function (done) {
+        md.stat("module://testModule/rc/ux-only.js")
+          .then(function (stats) {
+            expect(stats.source).toBe('jar');
+            expect(stats.path).toBe(path.resolve('spec/niagaraHome/modules/testModule-ux.jar'));
+            expect(stats.entryName).toBe('rc/ux-only.js');
+            expect(stats.size).toBe(47);
+            expect(stats.mtime).toEqual(jasmine.any(Date));
+            done();
+          });
+      });
+
+      it("rejects for a directory", function (done) {
+        md.stat("module://testModule/rc")
+          .catch(function (err) {
+            expect(err).toEqual(jasmine.any(Error));
+            done();
+          });
+      });
+    });
+
+    describe("#explain()", function () {
+      let md;
+
+      beforeEach(function () {
+        md = new ModuleDev(testProps, { niagaraHome: 'spec/niagaraHome' });
+      });
+
+      function outcomes(explanation) {
+        return explanation.candidates.map(function (candidate) {
+          return candidate.outcome + ' ' + candidate.source + ' ' +
+            (candidate.entryName || path.basename(candidate.path || candidate.module));
+        });
+      }
+
+      it("lists each moduledev candidate and variant tried", function (done) {
+        md.explain('module://bajaScript/rc/bajaScript-rt.js')
+          .then(function (explanation) {
+            expect(explanation.found).toBe(true);
+            expect(explanation.source).toBe('moduledev');
+            expect(outcomes(explanation)).toEqual([
+              'found registry bajaScript',
+              'missing moduledev bajaScript-rt',
+              'missing moduledev bajaScript-rt',
+              'missing moduledev bajaScript-rt',
+              'missing moduledev bajaScript-rt',
+              'missing moduledev bajaScript-rt',
+              'missing moduledev bajaScript-rt.js',
+              'chosen moduledev bajaScript-rt.js'
+            ]);
+            expect(explanation.candidates[7].profile).toBe('-rt');
+            done();
+          });
+      });
+
+      afterEach(function (done) {
+        md.clearCache(done);
+      });
+
+      it("lists each jar tried", function (done) {
+        md.explain('module://testModule/rc/rt-only.js')
+          .then(function (explanation) {
+            expect(explanation.found).toBe(true);
+            expect(explanation.source).toBe('jar');
+            expect(outcomes(explanation)).toEqual([
+              'missing registry testModule',
+              'not in jar jar rc/rt-only',
+              'not in jar jar rc/rt-only',
+              'missing jar rc/rt-only',
+              'missing jar rc/rt-only',
+              'not in jar jar rc/rt-only',
+              'not in jar jar rc/rt-only.js',
+              'chosen jar rc/rt-only.js'
+            ]);
+            done();
+          });
+      });
+
+      it("finds a directory in moduledev, as getFilePath does", function (done) {
+        Promise.all([
+          md.explain('module://bajaScript/rc'),
+          md.getFilePath('module://bajaScript/rc')
+        ])
+          .then(function (results) {
+            expect(results[0].found).toBe(true);
+            expect(results[0].source).toBe('moduledev');
+            expect(results[0].path).toBe(results[1]);
+            done();
+          });
+      });
+
+      it("finds a directory in every jar containing it, as getFilePath does", function (done) {
+        md.explain('module://testModule/rc/rt-dir')
+          .then(function (explanation) {
+            expect(explanation.found).toBe(true);
+            expect(explanation.source).toBe('jar');
+            expect(explanation.path).toBe(path.resolve('spec/niagaraHome/modules/testModule-rt.jar'));
+            expect(outcomes(explanation)).toEqual([
+              'missing registry testModule',
+              'not in jar jar rc/rt-dir',
+              'chosen jar rc/rt-dir',
+              'missing jar rc/rt-dir',
+              'missing jar rc/rt-dir',
+              'not in jar jar rc/rt-dir'
+            ]);
+            return md.getFilePath('module://testModule/rc/rt-dir');
+          })
+          .then(function (dirPath) {
+            expect(fs.statSync(dirPath).isDirectory()).toBe(true);
+            done();
+          });
+      });
+
+      it("reports a previously extracted file", function (done) {
+        const ord = 'module://testModule/rc/foo.js';
+        md.getFilePath(ord)
+          .then(function (filePath) {
+            return md.explain(ord)
+              .then(function (explanation) {
+                expect(explanation.found).toBe(true);
+                expect(explanation.cached).toBe(true);
+                expect(explanation.path).toBe(filePath);
+                expect(outcomes(explanation)).toEqual([
+                  'missing registry testModule',
+                  'chosen cache foo.js'
+                ]);
+                done();
+              });
+          });
+      });
+
+      it("does not reject for a malformed ORD", function (done) {
+        md.explain('module:/bajaux/rc/foo', function (err, explanation) {
+          expect(err).toBeFalsy();
+          expect(explanation.found).toBe(false);
+          done();
+        });
+      });
+    });
+
+    describe("config.debug", function () {
+      it("logs each candidate tried", function (done) {
+        const md = new ModuleDev(testProps, {
+          niagaraHome: 'spec/niagaraHome',
+          debug: true
+        });
+
+        spyOn(console, 'log');
+
+        md.readFile('module://testModule/rc/rt-only.js')
+          .then(function () {
+            const output = console.log.calls[0].args[0];
+            expect(output).toMatch(/resolving module:\/\/testModule\/rc\/rt-only\.js/);
+            expect(output).toMatch(/chosen: jar .*testModule-rt\.jar!\/rc\/rt-only\.js/);
+            done();
+          });
+      });
+    });
+
+    describe("config.logger", function () {
+      it("receives debug output instead of the console", function (done) {
+        const logger = { debug: jasmine.createSpy('debug') },
+              md = new ModuleDev(testProps, {
+                niagaraHome: 'spec/niagaraHome',
+                debug: true,
+                logger: logger
+              });
+
+        spyOn(console, 'log');
+
+        md.stat('module://testModule/rc/rt-only.js')
+          .then(function () {
+            expect(logger.debug.calls[0].args[0])
+              .toMatch(/resolving module:\/\/testModule\/rc\/rt-only\.js/);
+            expect(console.log).not.toHaveBeenCalled();
+            done();
+          });
+      });
+
+      it("can be silenced", function (done) {
+        const md = new ModuleDev(testProps, {
+          niagaraHome: 'spec/niagaraHome',
+          debug: true,
+          logger: false
+        });
+
+        spyOn(console, 'log');
+
+        md.stat('module://testModule/rc/rt-only.js')
+          .then(function () {
+            expect(console.log).not.toHaveBeenCalled();
+            done();
+          });
+      });
+    });
+
+    describe("events", function () {
+      let md, events;
+
+      beforeEach(function () {
+        md = new ModuleDev({
+          bajaScript: testProps.bajaScript,
+          testModule: 'spec/niagaraDevHome/testModule'
+        }, { niagaraHome: 'spec/niagaraHome' });
+        events = [];
+        [ 'resolved', 'fallback', 'miss', 'extracted' ].forEach(function (name) {
+          md.on(name, function (event) { events.push([ name, event ]); });
+        });
+      });
+
+      afterEach(function (done) {
+        md.clearCache(done);
+      });
+
+      it("emits resolved for a file in moduledev", function (done) {
+        md.stat('module://bajaScript/rc/bajaScript-rt.js')
+          .then(function (stats) {
+            expect(events).toEqual([ [ 'resolved', {
+              ord: 'module://bajaScript/rc/bajaScript-rt.js',
+              source: 'moduledev',
+              path: stats.path,
+              entryName: undefined,
+              cached: false
+            } ] ]);
+            done();
+          });
+      });
+
+      it("emits fallback when a moduledev module falls back to its jars", function (done) {
+        md.readFile('module://testModule/rc/rt-only.js')
+          .then(function () {
+            expect(events.map(function (e) { return e[0]; }))
+              .toEqual([ 'fallback', 'resolved' ]);
+            expect(events[0][1]).toEqual({
+              ord: 'module://testModule/rc/rt-only.js',
+              module: 'testModule'
+            });
+            expect(events[1][1].source).toBe('jar');
+            expect(events[1][1].path).toBe(path.resolve('spec/niagaraHome/modules/testModule-rt.jar'));
+            done();
+          });
+      });
+
+      it("emits fallback only for the entry found in a list", function (done) {
+        md.stat([ 'module://bajaScript/rc/nope.js', 'module://testModule/rc/rt-only.js' ])
+          .then(function (stats) {
+            expect(stats.source).toBe('jar');
+            expect(events.map(function (e) { return e[0]; }))
+              .toEqual([ 'fallback', 'resolved' ]);
+            expect(events[0][1]).toEqual({
+              ord: 'module://testModule/rc/rt-only.js',
+              module: 'testModule'
+            });
+            done();
+          });
+      });
+
+      it("emits extracted when a file is extracted, but not when reused", function (done) {
+        const ord = 'module://testModule/rc/foo.js';
+        md.getFilePath(ord)
+          .then(function (filePath) {
+            expect(events.map(function (e) { return e[0]; }))
+              .toEqual([ 'fallback', 'extracted', 'resolved' ]);
+            expect(events[1][1]).toEqual({
+              module: 'testModule',
+              entryName: 'rc/foo.js',
+              jarPath: path.resolve('spec/niagaraHome/modules/testModule-ux.jar'),
+              path: filePath
+            });
+            events = [];
+            return md.getFilePath(ord);
+          })
+          .then(function () {
+            expect(events.map(function (e) { return e[0]; }))
+              .toEqual([ 'fallback', 'resolved' ]);
+            expect(events[1][1].cached).toBe(true);
+            done();
+          });
+      });
+
+      it("emits miss with the error", function (done) {
+        md.getFilePath('module://totesNonexistent/rc/nope.js')
+          .catch(function (err) {
+            expect(events).toEqual([ [ 'miss', {
+              ord: 'module://totesNonexistent/rc/nope.js',
+              error: err
+            } ] ]);
+            done();
+          });
+      });
+
+      it("does not emit events from #explain()", function (done) {
+        md.explain('module://testModule/rc/rt-only.js')
+          .then(function () {
+            expect(events).toEqual([]);
+            done();
+          });
+      });
+    });
+
+    describe("#listFiles()", function () {
+      let md;
+
+      beforeEach(function (done) {
+        moduledev.fromRawString(testPropsString, {
+          niagaraHome: 'spec/niagaraHome'
+        }, function (err, m) {
+          md = m;
+          done();
+        });
+      });
+
+      function ords(files) {
+        return files.map(file => file.ord + ' ' + file.profile + ' ' + file.source);
+      }
+
+      it("lists matching files from every profile jar", function (done) {
+        md.listFiles('module://testModule/rc/**/*-{file,only}.js')
+          .then(function (files) {
+            expect(ords(files)).toEqual([
+              'module://testModule/rc/ux-dir/ux-dir-file.js ux jar',
+              'module://testModule/rc/ux-only.js ux jar',
+              'module://testModule/rc/rt-dir/rt-dir-file.js rt jar',
+              'module://testModule/rc/rt-only.js rt jar'
+            ]);
+            expect(files[0].location)
+              .toBe(path.resolve('spec/niagaraHome/modules/testModule-ux.jar'));
+            done();
+          });
+      });
+
+      it("reports the same file once for each place it is found", function (done) {
+        md.listFiles('/module/testModule/rc/?oo.js', function (err, files) {
+          expect(err).toBeFalsy();
+          expect(ords(files)).toEqual([
+            'module://testModule/rc/boo.js ux jar',
+            'module://testModule/rc/foo.js ux jar',
+            'module://testModule/rc/boo.js rt jar',
+            'module://testModule/rc/foo.js rt jar',
+            'module://testModule/rc/boo.js  jar',
+            'module://testModule/rc/foo.js  jar'
+          ]);
+          done();
+        });
+      });
+
+      it("lists matching files from moduledev profile directories", function (done) {
+        md.listFiles('module://bajaScript/rc/*')
+          .then(function (files) {
+            expect(ords(files)).toEqual([
+              'module://bajaScript/rc/bajaScript-cycle.js ux moduledev',
+              'module://bajaScript/rc/bajaScript-deps.js ux moduledev',
+              'module://bajaScript/rc/bajaScript-style.css ux moduledev',
+              'module://bajaScript/rc/bajaScript-ux.js ux moduledev',
+              'module://bajaScript/rc/bajaScript-data.json rt moduledev',
+              'module://bajaScript/rc/bajaScript-rt.js rt moduledev',
+              'module://bajaScript/rc/bajaScript-template.hbs rt moduledev'
+            ]);
+            expect(files[5].location).toBe(path.join(testProps.bajaScript,
+              'bajaScript-rt/src/rc/bajaScript-rt.js'));
+            done();
+          });
+      });
+
+      it("lists files from srcTest for test modules", function (done) {
+        md.listFiles('module://bajaScriptTest/**/*.js')
+          .then(function (files) {
+            expect(ords(files)).toEqual([
+              'module://bajaScriptTest/rc/bajaScript-ux-spec.js ux moduledev'
+            ]);
+            done();
+          });
+      });
+
+      it("resolves empty if nothing matches", function (done) {
+        md.listFiles('module://totesNonexistent/rc/**')
+          .then(function (files) {
+            expect(files).toEqual([]);
+            done();
+          });
+      });
+
+      it("does not treat Object properties as configured modules", function (done) {
+        md.listFiles('module://constructor/rc/*.js')
+          .then(function (files) {
+            expect(files).toEqual([]);
+            done();
+          });
+      });
+
+      it("rejects MALFORMED_ORD if the pattern is not a valid glob", function (done) {
+        md.listFiles('module://testModule/rc/{foo')
+          .catch(function (err) {
+            expect(err.code).toBe('MALFORMED_ORD');
+            expect(err.ord).toBe('module://testModule/rc/{foo');
+            done();
+          });
+      });
+    });
+
+    describe("#getModuleInfo()", function () {
+      let md;
+
+      beforeEach(function (done) {
+        moduledev.fromRawString(testPropsString, {
+          niagaraHome: 'spec/niagaraHome'
+        }, function (err, m) {
+          md = m;
+          done();
+        });
+      });
+
+      it("reads module.xml from each runtime profile jar", function (done) {
+        md.getModuleInfo('testModule')
+          .then(function (info) {
+            expect(info.name).toBe('testModule');
+            expect(info.profiles.map(p => p.profile)).toEqual([ 'ux', 'rt' ]);
+
+            const ux = info.profiles[0];
+            expect(ux.source).toBe('jar');
+            expect(ux.path).toBe(path.resolve('spec/niagaraHome/modules/testModule-ux.jar'));
+            expect(ux.name).toBe('testModule-ux');
+            expect(ux.runtimeProfile).toBe('ux');
+            expect(ux.vendor).toBe('Tridium');
+            expect(ux.vendorVersion).toBe('4.8.0.110');
+            expect(ux.description).toBe('Test module & friends');
+            expect(ux.attributes.preferredSymbol).toBe('tm');
+            expect(ux.dependencies).toEqual([
+              { name: 'baja', vendor: 'Tridium', vendorVersion: '4.8' },
+              { name: 'bajaScript-ux', vendor: 'Tridium', vendorVersion: '4.8' },
+              { name: 'testModule-rt', vendor: 'Tridium', vendorVersion: '4.8' }
+            ]);
+            expect(info.profiles[1].dependencies).toEqual([
+              { name: 'baja', vendor: 'Tridium', vendorVersion: '4.8' }
+            ]);
+            done();
+          });
+      });
+
+      it("reads module.xml from a moduledev directory", function (done) {
+        md.getModuleInfo('bajaScript', function (err, info) {
+          expect(err).toBeFalsy();
+          expect(info.profiles.length).toBe(1);
+          expect(info.profiles[0].source).toBe('moduledev');
+          expect(info.profiles[0].name).toBe('bajaScript-rt');
+          expect(info.profiles[0].path).toBe(path.join(testProps.bajaScript,
+            'bajaScript-rt', 'META-INF', 'module.xml'));
+          done();
+        });
+      });
+
+      describe("with source roots in moduledev.properties", function () {
+        const layoutHome = 'test-layout-home';
+
+        function writeModuleXml(dir, name, runtimeProfile) {
+          fs.mkdirsSync(path.join(dir, 'META-INF'));
+          fs.writeFileSync(path.join(dir, 'META-INF', 'module.xml'),
+            '<module name="' + name + '" runtimeProfile="' + runtimeProfile + '"/>');
+        }
+
+        function getInfo(props, moduleName) {
+          return moduledev.fromRawString(props, { niagaraHome: 'spec/niagaraHome' })
+            .then(md => md.getModuleInfo(moduleName));
+        }
+
+        afterEach(function () {
+          fs.removeSync(layoutHome);
+        });
+
+        it("reads module.xml from the profile directories of the roots", function (done) {
+          const moduleDir = path.resolve(layoutHome, 'custom');
+          writeModuleXml(path.join(moduleDir, 'code', 'custom-rt'), 'custom-rt', 'rt');
+          writeModuleXml(path.join(moduleDir, 'custom-rt'), 'wrong-rt', 'rt');
+
+          getInfo('custom=' + moduleDir + '\ncustom.src=code/{module}{profile}/src', 'custom')
+            .then(function (info) {
+              expect(info.profiles.length).toBe(1);
+              expect(info.profiles[0].name).toBe('custom-rt');
+              expect(info.profiles[0].path).toBe(path.join(moduleDir, 'code', 'custom-rt',
+                'META-INF', 'module.xml'));
+              done();
+            });
+        });
+
+        it("reads module.xml of a single-profile module for the profile it declares", function (done) {
+          const moduleDir = path.resolve(layoutHome, 'single');
+          writeModuleXml(moduleDir, 'single-ux', 'ux');
+
+          getInfo('single=' + moduleDir + '\nsingle.src=src', 'single')
+            .then(function (info) {
+              expect(info.profiles.map(p => p.profile)).toEqual([ 'ux' ]);
+              expect(info.profiles[0].source).toBe('moduledev');
+              expect(info.profiles[0].path).toBe(path.join(moduleDir, 'META-INF', 'module.xml'));
+              done();
+            });
+        });
+      });
+
+      it("rejects if module not found", function (done) {
+        md.getModuleInfo('totesNonexistent')
+          .catch(function (err) {
+            expect(err.code).toBe('MODULE_NOT_FOUND');
+            expect(err.module).toBe('totesNonexistent');
+            done();
+          });
+      });
+
+      it("rejects with MALFORMED_ORD if no module name is given", function (done) {
+        md.getModuleInfo(undefined)
+          .catch(function (err) {
+            expect(err.code).toBe('MALFORMED_ORD');
+            done();
+          });
+      });
+
+      it("rejects with MALFORMED_ORD if the module name is a path", function (done) {
+        md.getModuleInfo('../testModule')
+          .catch(function (err) {
+            expect(err.code).toBe('MALFORMED_ORD');
+            done();
+          });
+      });
+
+      it("does not treat Object properties as configured modules or profiles", function (done) {
+        md.getModuleInfo('constructor')
+          .catch(function (err) {
+            expect(err.code).toBe('MODULE_NOT_FOUND');
+            done();
+          });
+      });
+    });
+
+    describe("#getDependencyGraph()", function () {
+      const graphHome = 'test-graph-home';
+
+      function writeModuleJar(name, profile, dependencies) {
+        const zip = new AdmZip(),
+              deps = dependencies.map(d => '<dependency name="' + d + '"/>').join('');
+        zip.addFile('META-INF/module.xml', new Buffer('<module name="' + name + profile + '">' +
+          '<dependencies>' + deps + '</dependencies></module>'));
+        zip.writeZip(path.join(graphHome, 'modules', name + profile + '.jar'));
+      }
+
+      function getGraph(roots) {
+        return moduledev.fromRawString(testPropsString, { niagaraHome: graphHome })
+          .then(md => md.getDependencyGraph(roots));
+      }
+
+      beforeEach(function () {
+        fs.mkdirsSync(path.join(graphHome, 'modules'));
+      });
+
+      afterEach(function () {
+        fs.removeSync(graphHome);
+      });
+
+      it("builds the transitive dependency graph across runtime profiles", function (done) {
+        writeModuleJar('alpha', '-ux', [ 'alpha-rt', 'beta-ux' ]);
+        writeModuleJar('alpha', '-rt', [ 'baja' ]);
+        writeModuleJar('beta', '-ux', [ 'bajaScript-ux' ]);
+        writeModuleJar('baja', '', []);
+
+        getGraph('alpha')
+          .then(function (graph) {
+            expect(graph.roots).toEqual([ 'alpha' ]);
+            expect(Object.keys(graph.modules).sort())
+              .toEqual([ 'alpha', 'baja', 'bajaScript', 'beta' ]);
+            expect(graph.modules.alpha).toEqual({
+              name: 'alpha',
+              present: true,
+              profiles: [ 'ux', 'rt' ],
+              dependencies: [ 'baja', 'beta' ]
+            });
+            expect(graph.modules.bajaScript.present).toBe(true);
+            expect(graph.modules.bajaScript.dependencies).toEqual([ 'baja' ]);
+            expect(graph.order).toEqual([ 'baja', 'bajaScript', 'beta', 'alpha' ]);
+            expect(graph.missing).toEqual([]);
+            expect(graph.cycles).toEqual([]);
+            done();
+          });
+      });
+
+      it("flags missing dependencies", function (done) {
+        writeModuleJar('alpha', '-ux', [ 'gamma-rt', 'delta' ]);
+
+        getGraph([ 'alpha' ])
+          .then(function (graph) {
+            expect(graph.missing).toEqual([ 'delta', 'gamma' ]);
+            expect(graph.modules.gamma).toEqual({
+              name: 'gamma',
+              present: false,
+              profiles: [],
+              dependencies: []
+            });
+            done();
+          });
+      });
+
+      it("leaves out dependencies whose names are not valid", function (done) {
+        writeModuleJar('alpha', '-rt', [ '../../evil-rt', 'baja' ]);
+        writeModuleJar('baja', '', []);
+
+        getGraph('alpha')
+          .then(function (graph) {
+            expect(graph.modules.alpha.dependencies).toEqual([ 'baja' ]);
+            expect(Object.keys(graph.modules).sort()).toEqual([ 'alpha', 'baja' ]);
+            done();
+          });
+      });
+
+      it("rejects with MALFORMED_ORD if a root module name is not valid", function (done) {
+        getGraph([ 'alpha', '../alpha' ])
+          .catch(function (err) {
+            expect(err.code).toBe('MALFORMED_ORD');
+            done();
+          });
+      });
+
+      it("flags modules named like Object properties as missing", function (done) {
+        getGraph('constructor')
+          .then(function (graph) {
+            expect(graph.missing).toEqual([ 'constructor' ]);
+            expect(graph.modules.constructor.present).toBe(false);
+            done();
+          });
+      });
+
+      it("detects cycles", function (done) {
+        writeModuleJar('alpha', '-rt', [ 'beta-rt' ]);
+        writeModuleJar('beta', '-rt', [ 'gamma-rt' ]);
+        writeModuleJar('gamma', '-rt', [ 'alpha-rt' ]);
+
+        getGraph([ 'beta', 'alpha' ])
+          .then(function (graph) {
+            expect(graph.cycles).toEqual([ [ 'beta', 'gamma', 'alpha', 'beta' ] ]);
+            expect(graph.order.length).toBe(3);
+            done();
+          });
+      });
+    });
+
+    describe("#getLexicon()", function () {
+      const lexiconHome = 'test-lexicon-home',
+            otherHome = 'test-lexicon-home-2';
+
+      let md;
+
+      function writeLexicon(home, lang, moduleName, contents) {
+        const dir = path.join(home, 'lexicon', lang);
+        fs.mkdirsSync(dir);
+        fs.writeFileSync(path.join(dir, moduleName + '.lexicon'), contents);
+      }
+
+      beforeEach(function (done) {
+        const zip = new AdmZip();
+        zip.addFile('jarModule.lexicon', new Buffer('hello=Hello\ncolor=Color\n'));
+        zip.addFile('lexicon/fr/jarModule.lexicon', new Buffer('hello=Bonjour\ncolor=Couleur\n'));
+        zip.addFile('lexicon/fr_CA/jarModule.lexicon', new Buffer('hello=Allo\n'));
+        fs.mkdirsSync(path.join(lexiconHome, 'modules'));
+        zip.writeZip(path.join(lexiconHome, 'modules', 'jarModule-rt.jar'));
+
+        moduledev.fromRawString(testPropsString, {
+          niagaraHome: [ lexiconHome, otherHome ]
+        }, function (err, m) {
+          md = m;
+          done();
+        });
+      });
+
+      afterEach(function () {
+        fs.removeSync(lexiconHome);
+        fs.removeSync(otherHome);
+      });
+
+      it("reads the default lexicon from moduledev, keeping values as strings", function (done) {
+        md.getLexicon('bajaScript')
+          .then(function (lex) {
+            expect(lex).toEqual({
+              hello: 'Hello',
+              goodbye: 'Goodbye',
+              version: '1.0',
+              enabled: 'true'
+            });
+            done();
+          });
+      });
+
+      it("merges the language lexicon over the default", function (done) {
+        md.getLexicon('bajaScript', 'fr', function (err, lex) {
+          expect(lex.hello).toBe('Bonjour');
+          expect(lex.goodbye).toBe('Au revoir');
+          expect(lex.version).toBe('1.0');
+          done();
+        });
+      });
+
+      it("reads lexicons from jars, falling back from a region to its base language", function (done) {
+        Promise.all([
+          md.getLexicon('jarModule', 'fr-CA'),
+          md.getLexicon('jarModule', 'fr_BE')
+        ])
+          .then(function (results) {
+            expect(results[0]).toEqual({ hello: 'Allo', color: 'Couleur' });
+            expect(results[1]).toEqual({ hello: 'Bonjour', color: 'Couleur' });
+            done();
+          });
+      });
+
+      it("applies niagara_home overrides, with the first niagara_home winning", function (done) {
+        writeLexicon(lexiconHome, 'fr', 'bajaScript', 'hello=Salut\n');
+        writeLexicon(otherHome, 'fr', 'bajaScript', 'hello=Coucou\ngoodbye=Ciao\n');
+        writeLexicon(otherHome, 'fr_CA', 'jarModule', 'color=Couleur!\n');
+
+        Promise.all([
+          md.getLexicon('bajaScript', 'fr-CA'),
+          md.getLexicon('jarModule', 'fr-CA')
+        ])
+          .then(function (results) {
+            expect(results[0].hello).toBe('Salut');
+            expect(results[0].goodbye).toBe('Ciao');
+            expect(results[1]).toEqual({ hello: 'Allo', color: 'Couleur!' });
+            done();
+          });
+      });
+
+      it("unescapes values and joins continued lines", function (done) {
+        writeLexicon(lexiconHome, 'fr', 'bajaScript', [
+          '! comment',
+          'hello = Salut \\',
+          '        tout le monde',
+          'caf\\u00e9\\ key:caf\\u00e9',
+          'ratio=1\\:1'
+        ].join('\r\n'));
+
+        md.getLexicon('bajaScript', 'fr')
+          .then(function (lex) {
+            expect(lex.hello).toBe('Salut tout le monde');
+            expect(lex['caf\u00e9 key']).toBe('caf\u00e9');
+            expect(lex.ratio).toBe('1:1');
+            done();
+          });
+      });
+
+      it("rejects with MODULE_NOT_FOUND if the module does not exist", function (done) {
+        md.getLexicon('totesNonexistent', 'fr')
+          .catch(function (err) {
+            expect(err.code).toBe('MODULE_NOT_FOUND');
+            expect(err.module).toBe('totesNonexistent');
+            done();
+          });
+      });
+
+      it("rejects with FILE_NOT_FOUND if the module has no lexicon", function (done) {
+        md.getLexicon('bajaux', 'fr')
+          .catch(function (err) {
+            expect(err.code).toBe('FILE_NOT_FOUND');
+            done();
+          });
+      });
+    });
+
+    describe("#clearCache()", function () {
+      const copiedHome = 'test-niagara-home',
+            jarPath = path.join(copiedHome, 'modules', 'testModule-ux.jar');
+
+      let md;
+
+      function replaceJar(sourceJar) {
+        fs.copySync(path.join('spec/niagaraHome/modules', sourceJar), jarPath);
+        const future = new Date(Date.now() + 10000);
+        fs.utimesSync(jarPath, future, future);
+      }
+
+      beforeEach(function (done) {
+        fs.mkdirsSync(path.join(copiedHome, 'modules'));
+        fs.copySync('spec/niagaraHome/modules/testModule-ux.jar', jarPath);
+        moduledev.fromRawString(testPropsString, {
+          niagaraHome: copiedHome
+        }, function (err, m) {
+          md = m;
+          done();
+        });
+      });
+
+      afterEach(function (done) {
+        md.clearCache(function () {
+          fs.removeSync(copiedHome);
+          done();
+        });
+      });
+
+      it("deletes extracted files for a module", function (done) {
+        md.getFilePath("module://testModule/rc/foo.js")
+          .then(function (filePath) {
+            expect(fs.existsSync(filePath)).toBe(true);
+            return md.clearCache('testModule')
+              .then(function () {
+                expect(fs.existsSync(filePath)).toBe(false);
+                verifyFileGeneration(md, "module://testModule/rc/foo.js",
+                  'testModule-ux/rc/foo.js', done);
+              });
+          });
+      });
+
+      it("rejects with MALFORMED_ORD if the module name is not valid", function (done) {
+        md.clearCache('../testModule')
+          .catch(function (err) {
+            expect(err.code).toBe('MALFORMED_ORD');
+            done();
+          });
+      });
+
+      it("re-extracts a file when its jar changes", function (done) {
+        verifyFileGeneration(md, "module://testModule/rc/foo.js",
+          'testModule-ux/rc/foo.js', function () {
+            replaceJar('testModule-rt.jar');
+            verifyFileGeneration(md, "module://testModule/rc/foo.js",
+              'testModule-rt/rc/foo.js', done);
+          });
+      });
+
+      it("re-extracts a directory when its jar changes", function (done) {
+        md.getFilePath("module://testModule/rc")
+          .then(function (filePath) {
+            expect(fs.existsSync(path.join(filePath, 'ux-only.js'))).toBe(true);
+            replaceJar('testModule-rt.jar');
+            return md.getFilePath("module://testModule/rc");
+          })
+          .then(function (filePath) {
+            expect(fs.existsSync(path.join(filePath, 'ux-only.js'))).toBe(false);
+            verifyFileContents(path.join(filePath, 'rt-only.js'),
+              'testModule-rt/rc/rt-only.js', done);
+          });
+      });
+
+      it("picks up a newly installed jar", function (done) {
+        verifyError(md, "module://testModule/rc/no-profile.js", 'FILE_NOT_FOUND', function () {
+          fs.copySync('spec/niagaraHome/modules/testModule.jar',
+            path.join(copiedHome, 'modules', 'testModule.jar'));
+          verifyFileGeneration(md, "module://testModule/rc/no-profile.js",
+            'testModule/rc/no-profile.js', done);
+        });
+      });
+    });
+
+    describe("extraction cache", function () {
+      const cacheHome = 'test-cache-home',
+            cacheDir = path.join(cacheHome, 'cache'),
+            modulesDir = path.join(cacheHome, 'modules');
+
+      function writeModuleJar(name, size) {
+        const zip = new AdmZip();
+        zip.addFile('rc/a.js', new Buffer(new Array(size + 1).join('x')));
+        zip.writeZip(path.join(modulesDir, name + '-rt.jar'));
+      }
+
+      function getModuleDev(config) {
+        return moduledev.fromRawString(testPropsString, Object.assign({
+          niagaraHome: cacheHome
+        }, config));
+      }
+
+      function later() {
+        return new Promise(function (resolve) { setTimeout(resolve, 20); });
+      }
+
+      beforeEach(function () {
+        fs.mkdirsSync(modulesDir);
+        fs.copySync('spec/niagaraHome/modules/testModule-ux.jar',
+          path.join(modulesDir, 'testModule-ux.jar'));
+      });
+
+      afterEach(function () {
+        fs.removeSync(cacheHome);
+      });
+
+      it("extracts to config.cacheDir, reusing files from earlier processes", function (done) {
+        let firstPath;
+
+        getModuleDev({ cacheDir: cacheDir })
+          .then(function (md) {
+            return md.getFilePath('module://testModule/rc/foo.js');
+          })
+          .then(function (filePath) {
+            firstPath = filePath;
+            expect(path.relative(cacheDir, filePath))
+              .toMatch(/^niagara-moduledev[\/\\]testModule[\/\\]/);
+            fs.writeFileSync(filePath, "module.exports = 'already extracted';");
+            return getModuleDev({ cacheDir: cacheDir });
+          })
+          .then(function (md) {
+            return md.getFilePath('module://testModule/rc/foo.js');
+          })
+          .then(function (filePath) {
+            expect(filePath).toBe(firstPath);
+            verifyFileContents(filePath, 'already extracted', done);
+          });
+      });
+
+      it("never evicts or clears files it did not extract", function (done) {
+        const foreign = [
+          path.join(cacheDir, 'myBuild', 'output', 'bundle.js'),
+          path.join(cacheDir, 'docs', 'readme.txt'),
+          path.join(cacheDir, 'niagara-moduledev', 'testModule', 'notes.txt')
+        ];
+        let md;
+
+        foreign.forEach(function (filePath) {
+          fs.outputFileSync(filePath, new Array(101).join('x'));
+        });
+
+        getModuleDev({ cacheDir: cacheDir, maxCacheSize: 10 })
+          .then(function (m) {
+            md = m;
+            return md.getFilePath('module://testModule/rc/foo.js');
+          })
+          .then(function () {
+            return md.dispose();
+          })
+          .then(function () {
+            return Promise.all([ md.clearCache('docs'), md.clearCache('testModule') ]);
+          })
+          .then(function () {
+            foreign.forEach(function (filePath) {
+              expect(fs.existsSync(filePath)).toBe(true);
+            });
+            done();
+          });
+      });
+
+      it("keys the cache by jar identity", function (done) {
+        let firstPath;
+
+        getModuleDev({ cacheDir: cacheDir })
+          .then(function (md) {
+            return md.getFilePath('module://testModule/rc/foo.js');
+          })
+          .then(function (filePath) {
+            const jarPath = path.join(modulesDir, 'testModule-ux.jar'),
+                  future = new Date(Date.now() + 10000);
+            firstPath = filePath;
+            fs.copySync('spec/niagaraHome/modules/testModule-rt.jar', jarPath);
+            fs.utimesSync(jarPath, future, future);
+            return getModuleDev({ cacheDir: cacheDir });
+          })
+          .then(function (md) {
+            return md.getFilePath('module://testModule/rc/foo.js');
+          })
+          .then(function (filePath) {
+            expect(filePath).not.toBe(firstPath);
+            verifyFileContents(filePath, 'testModule-rt/rc/foo.js', done);
+          });
+      });
+
+      it("evicts the least recently used modules past config.maxCacheSize", function (done) {
+        writeModuleJar('alpha', 100);
+        writeModuleJar('beta', 100);
+        writeModuleJar('gamma', 100);
+
+        let md, alphaPath, betaPath, gammaPath;
+
+        getModuleDev({ cacheDir: cacheDir, maxCacheSize: 250 })
+          .then(function (m) {
+            md = m;
+            return md.getFilePath('module://alpha/rc/a.js');
+          })
+          .then(function (filePath) {
+            alphaPath = filePath;
+            return later().then(function () {
+              return md.getFilePath('module://beta/rc/a.js');
+            });
+          })
+          .then(function (filePath) {
+            betaPath = filePath;
+            return later().then(function () {
+              return md.getFilePath('module://alpha/rc/a.js');
+            });
+          })
+          .then(function () {
+            return later().then(function () {
+              return md.getFilePath('module://gamma/rc/a.js');
+            });
+          })
+          .then(function (filePath) {
+            gammaPath = filePath;
+            //eviction runs in the background, and dispose() waits for it
+            return md.dispose();
+          })
+          .then(function () {
+            expect(fs.existsSync(alphaPath)).toBe(true);
+            expect(fs.existsSync(betaPath)).toBe(false);
+            expect(fs.existsSync(gammaPath)).toBe(true);
+            return getModuleDev({ cacheDir: cacheDir, maxCacheSize: 250 });
+          })
+          .then(function (m) {
+            return m.getFilePath('module://beta/rc/a.js');
+          })
+          .then(function (filePath) {
+            expect(fs.existsSync(filePath)).toBe(true);
+            done();
+          });
+      });
+
+      it("does not make getFilePath wait for eviction", function (done) {
+        writeModuleJar('alpha', 100);
+        writeModuleJar('beta', 100);
+
+        getModuleDev({ cacheDir: cacheDir, maxCacheSize: 150 })
+          .then(function (md) {
+            return md.getFilePath('module://alpha/rc/a.js')
+              .then(function (alphaPath) {
+                return later().then(function () {
+                  return md.getFilePath('module://beta/rc/a.js');
+                })
+                  .then(function () {
+                    //the cache is still being scanned
+                    expect(fs.existsSync(alphaPath)).toBe(true);
+                    return md.dispose();
+                  })
+                  .then(function () {
+                    expect(fs.existsSync(alphaPath)).toBe(false);
+                    done();
+                  });
+              });
+          });
+      });
+
+      describe("#dispose()", function () {
+        it("deletes the temp dir extracted to", function (done) {
+          let md, tmpDir;
+
+          getModuleDev()
+            .then(function (m) {
+              md = m;
+              return md.getFilePath('module://testModule/rc/foo.js');
+            })
+            .then(function (filePath) {
+              tmpDir = path.resolve(filePath, '../../../..');
+              expect(fs.existsSync(filePath)).toBe(true);
+              return md.dispose();
+            })
+            .then(function () {
+              expect(fs.existsSync(tmpDir)).toBe(false);
+              verifyFileGeneration(md, 'module://testModule/rc/foo.js',
+                'testModule-ux/rc/foo.js', done);
+            });
+        });
+
+        it("leaves files in config.cacheDir for other processes", function (done) {
+          let md;
+
+          getModuleDev({ cacheDir: cacheDir })
+            .then(function (m) {
+              md = m;
+              return md.getFilePath('module://testModule/rc/foo.js');
+            })
+            .then(function (filePath) {
+              return md.dispose().then(function () {
+                expect(fs.existsSync(filePath)).toBe(true);
+                done();
+              });
+            });
+        });
+      });
+    });
+
+    describe("#reload()", function () {
+      const reloadFileName = "test-reload-moduledev.properties";
+
+      let md, watched;
+
+      beforeEach(function (done) {
+        fs.writeFileSync(reloadFileName, testPropsString);
+        moduledev.fromFile(reloadFileName, function (err, m) {
+          md = m;
+          done();
+        });
+      });
+
+      afterEach(function () {
+        md.unwatch();
+        if (watched) {
+          watched.unwatch();
+          watched = null;
+        }
+        fs.unlinkSync(reloadFileName);
+      });
+
+      function rewrite(props) {
+        fs.writeFileSync(reloadFileName, properties.stringify(props));
+      }
+
+      it("swaps in the new registry", function (done) {
+        rewrite({ bajaux: testProps.bajaux });
+        md.reload()
+          .then(function () {
+            verifyError(md, "module://bajaScript/rc/bajaScript-rt.js", 'MODULE_NOT_FOUND', done);
+          });
+      });
+
+      it("emits a change event with added, removed and repointed modules", function (done) {
+        md.on('change', function (changes) {
+          expect(changes).toEqual({
+            added: [ 'testModule' ],
+            removed: [ 'bajaux', 'mobile' ],
+            repointed: [ 'bajaScript' ]
+          });
+          done();
+        });
+        rewrite({ bajaScript: 'somewhere/else', testModule: 'spec/niagaraDevHome/testModule' });
+        md.reload();
+      });
+
+      it("reports a module whose source roots changed as repointed", function (done) {
+        rewrite(Object.assign({ 'bajaScript.src': 'src' }, testProps));
+        md.reload(function (err, changes) {
+          expect(changes).toEqual({ added: [], removed: [], repointed: [ 'bajaScript' ] });
+          done();
+        });
+      });
+
+      it("does not emit a change event if nothing changed", function (done) {
+        const spy = jasmine.createSpy('change');
+        md.on('change', spy);
+        md.reload(function (err, changes) {
+          expect(changes).toEqual({ added: [], removed: [], repointed: [] });
+          expect(spy).not.toHaveBeenCalled();
+          done();
+        });
+      });
+
+      it("keeps the old registry if the file cannot be read", function (done) {
+        fs.unlinkSync(reloadFileName);
+        md.reload(function (err) {
+          expect(err).toEqual(jasmine.any(Error));
+          fs.writeFileSync(reloadFileName, testPropsString);
+          moduledev.fromFile(reloadFileName, function () {
+            matchPath(md, "module://bajaScript/rc/bajaScript-rt.js",
+              testProps.bajaScript + "/bajaScript-rt/src/rc/bajaScript-rt.js", done);
+          });
+        });
+      });
+
+      it("rejects if resolver was not created from a file", function (done) {
+        moduledev.fromRawString(testPropsString, function (err, md) {
+          md.reload()
+            .catch(function (err) {
+              expect(err).toEqual(jasmine.any(Error));
+              done();
+            });
+        });
+      });
+
+      it("reloads automatically in watch mode", function (done) {
+        moduledev.fromFile(reloadFileName, { watch: true, watchInterval: 20 }, function (err, m) {
+          watched = m;
+          watched.on('change', function (changes) {
+            expect(changes.added).toEqual([ 'testModule' ]);
+            done();
+          });
+          //let the watcher take its first stat before changing the file, or
+          //the change may end up in its baseline
+          setTimeout(function () {
+            rewrite({ testModule: 'spec/niagaraDevHome/testModule' });
+            const future = new Date(Date.now() + 10000);
+            fs.utimesSync(reloadFileName, future, future);
+          }, 100);
+        });
+      });
+    });
+
+    describe("error codes", function () {
+      const errorHome = 'test-error-home';
+
+      let md;
+
+      beforeEach(function (done) {
+        fs.mkdirsSync(path.join(errorHome, 'modules'));
+        fs.writeFileSync(path.join(errorHome, 'modules', 'brokenModule-ux.jar'), 'not a zip');
+        moduledev.fromRawString(testPropsString, {
+          niagaraHome: errorHome
+        }, function (err, m) {
+          md = m;
+          done();
+        });
+      });
+
+      afterEach(function () {
+        fs.removeSync(errorHome);
+      });
+
+      it("rejects with JAR_UNREADABLE if a jar cannot be read", function (done) {
+        md.readFile('module://brokenModule/rc/foo.js')
+          .catch(function (err) {
+            expect(err).toEqual(jasmine.any(moduledev.errors.JarUnreadableError));
+            expect(err.code).toBe('JAR_UNREADABLE');
+            done();
+          });
+      });
+
+      it("rejects with JAR_UNREADABLE when extracting from a jar that cannot be read", function (done) {
+        verifyError(md, 'module://brokenModule/rc/foo.js', 'JAR_UNREADABLE', done);
+      });
+
+      it("includes the ORD and candidates tried", function (done) {
+        md.stat('module://bajaScript/rc/nope.js')
+          .catch(function (err) {
+            expect(err.code).toBe('FILE_NOT_FOUND');
+            expect(err.ord).toBe('module://bajaScript/rc/nope.js');
+            expect(err.candidates[0]).toEqual({
+              source: 'registry',
+              module: 'bajaScript',
+              path: testProps.bajaScript,
+              outcome: 'found'
+            });
+            done();
+          });
+      });
+
+      it("rejects with MALFORMED_ORD for a request that is not a string or array", function (done) {
+        verifyError(md, 42, 'MALFORMED_ORD', done);
+      });
+
+      it("rejects with MALFORMED_ORD if the module name is missing", function (done) {
+        md.readFile('module://nope.js')
+          .catch(function (err) {
+            expect(err.code).toBe('MALFORMED_ORD');
+            done();
+          });
+      });
+
+      it("reports the code in #explain()", function (done) {
+        md.explain('module://totesNonexistent/rc/nope.js')
+          .then(function (explanation) {
+            expect(explanation.found).toBe(false);
+            expect(explanation.code).toBe('MODULE_NOT_FOUND');
+            done();
+          });
+      });
+
+      it("rejects #reload() with INVALID_CONFIG if not created from a file", function (done) {
+        md.reload()
+          .catch(function (err) {
+            expect(err.code).toBe('INVALID_CONFIG');
+            done();
+          });
+      });
+    });
+
+    describe("path safety", function () {
+      const safetyDir = 'test-safety',
+            srcDir = path.join(safetyDir, 'dev', 'linkModule', 'linkModule-rt', 'src', 'rc'),
+            modulesDir = path.join(safetyDir, 'home', 'modules'),
+            safetyProps = properties.stringify({
+              linkModule: path.join(safetyDir, 'dev', 'linkModule')
+            });
+
+      function getModuleDev(config) {
+        return moduledev.fromRawString(safetyProps, Object.assign({
+          niagaraHome: path.join(safetyDir, 'home')
+        }, config));
+      }
+
+      beforeEach(function () {
+        fs.mkdirsSync(srcDir);
+        fs.mkdirsSync(modulesDir);
+        fs.writeFileSync(path.join(safetyDir, 'secret.js'), 'secret');
+        fs.writeFileSync(path.join(srcDir, 'inside.js'), 'inside');
+        fs.symlinkSync(path.resolve(safetyDir, 'secret.js'), path.join(srcDir, 'outside.js'));
+        fs.symlinkSync(path.resolve(srcDir, 'inside.js'), path.join(srcDir, 'alias.js'));
+      });
+
+      afterEach(function () {
+        fs.removeSync(safetyDir);
+      });
+
+      it("rejects a path that climbs out of the module with MALFORMED_ORD", function (done) {
+        getModuleDev()
+          .then(function (md) {
+            return md.readFile('module://linkModule/rc/../../../../secret.js');
+          })
+          .catch(function (err) {
+            expect(err.code).toBe('MALFORMED_ORD');
+            done();
+          });
+      });
+
+      it("does not follow a symlink out of the source root", function (done) {
+        const logger = { warn: jasmine.createSpy('warn') };
+
+        getModuleDev({ logger: logger })
+          .then(function (md) {
+            return md.readFile('module://linkModule/rc/outside.js');
+          })
+          .catch(function (err) {
+            expect(err.code).toBe('UNSAFE_PATH');
+            expect(err.candidates.map(function (c) { return c.outcome; }))
+              .toContain('unsafe');
+            expect(logger.warn).toHaveBeenCalled();
+            done();
+          });
+      });
+
+      it("follows a symlink inside the source root", function (done) {
+        getModuleDev()
+          .then(function (md) {
+            return md.readFile('module://linkModule/rc/alias.js');
+          })
+          .then(function (data) {
+            expect(String(data)).toBe('inside');
+            done();
+          });
+      });
+
+      it("follows any symlink if config.allowSymlinks is set", function (done) {
+        getModuleDev({ allowSymlinks: true })
+          .then(function (md) {
+            return md.readFile('module://linkModule/rc/outside.js');
+          })
+          .then(function (data) {
+            expect(String(data)).toBe('secret');
+            done();
+          });
+      });
+
+      it("does not list files through a symlink out of the source root", function (done) {
+        fs.symlinkSync(path.resolve(srcDir), path.join(srcDir, 'loop'));
+
+        getModuleDev({ logger: { warn: function () {} } })
+          .then(function (md) {
+            return md.listFiles('module://linkModule/rc/**');
+          })
+          .then(function (files) {
+            expect(files.map(function (f) { return f.path; }))
+              .toEqual([ 'rc/alias.js', 'rc/inside.js' ]);
+            done();
+          });
+      });
+
+      it("lists files through any symlink if config.allowSymlinks is set", function (done) {
+        fs.symlinkSync(path.resolve(srcDir), path.join(srcDir, 'loop'));
+
+        getModuleDev({ allowSymlinks: true })
+          .then(function (md) {
+            return md.listFiles('module://linkModule/rc/**');
+          })
+          .then(function (files) {
+            expect(files.map(function (f) { return f.path; }))
+              .toEqual([ 'rc/alias.js', 'rc/inside.js', 'rc/outside.js' ]);
+            done();
+          });
+      });
+
+      it("refuses to extract a directory containing an unsafe jar entry", function (done) {
+        const zip = new AdmZip();
+        zip.addFile('rc/', new Buffer(0));
+        zip.addFile('rc/ok.js', new Buffer('ok'));
+        zip.addFile('rc/../../../../evil.js', new Buffer('evil'));
+        zip.writeZip(path.join(modulesDir, 'evilModule-rt.jar'));
+
+        getModuleDev()
+          .then(function (md) {
+            return md.getFilePath('module://evilModule/rc');
+          })
+          .catch(function (err) {
+            expect(err.code).toBe('UNSAFE_PATH');
+            expect(err.candidates.map(function (c) { return c.outcome; }))
+              .toContain('unsafe');
+            done();
+          });
+      });
+    });
+
+    describe(".getRequireJsPaths()", function () {
+      let niagaraHome = 'spec/niagaraHome',
+          md;
+
+      beforeEach(function (done) {
+        moduledev.fromRawString(testPropsString, {
+          niagaraHome: niagaraHome
+        }, function (err, m) {
+          md = m;
+          done();
+        });
+      });
+      
+      it("maps RequireJS IDs to file paths", function (done) {
+        md.getRequireJsPaths({
+          "bajaScript-rt": "nmodule/bajaScript/rc/bajaScript-rt",
+          "foo": "nmodule/testModule/rc/foo"
+        }, function (err, paths) {
+          expect(String(fs.readFileSync(paths["bajaScript-rt"] + '.js')))
+            .toBe('module.exports = "i am bajaScript-rt";');
+          expect(String(fs.readFileSync(paths.foo + '.js')))
+            .toBe('module.exports = \'testModule-ux/rc/foo.js\';');
+          done();
+        });
+      });
+      
+      it("maps plugin-prefixed IDs using the plugin's default extension", function (done) {
+        md.getRequireJsPaths({
+          "template": "hbs!nmodule/bajaScript/rc/bajaScript-template",
+          "style": "css!nmodule/bajaScript/rc/bajaScript-style",
+          "data": "text!nmodule/bajaScript/rc/bajaScript-data.json"
+        }, function (err, paths) {
+          expect(err).toBeFalsy();
+          expect(paths).toEqual({
+            template: path.join(testProps.bajaScript, 'bajaScript-rt/src/rc/bajaScript-template'),
+            style: path.join(testProps.bajaScript, 'bajaScript-ux/src/rc/bajaScript-style'),
+            data: path.join(testProps.bajaScript, 'bajaScript-rt/src/rc/bajaScript-data')
+          });
+          done();
+        });
+      });
+
+      it("uses config.pluginExtensions for other plugins", function (done) {
+        const md = new ModuleDev(testProps, {
+          niagaraHome: niagaraHome,
+          pluginExtensions: { style: '.css' }
+        });
+
+        md.getRequireJsPaths({
+          "style": "nmodule/myPlugins/rc/style!nmodule/bajaScript/rc/bajaScript-style"
+        }, function (err, paths) {
+          expect(paths.style)
+            .toBe(path.join(testProps.bajaScript, 'bajaScript-ux/src/rc/bajaScript-style'));
+          done();
+        });
+      });
+
+      it("rejects a lex! ID, which is not a file", function (done) {
+        md.getRequireJsPaths({ "lex": "lex!bajaScript" }, function (err) {
+          expect(err.code).toBe('MALFORMED_ORD');
+          done();
+        });
+      });
+
+      it("maps a directory", function (done) {
+        md.getRequireJsPaths({
+          "rc": "nmodule/testModule/rc"
+        }, function (err, paths) {
+          let rc = paths.rc;
+          expect(fs.statSync(rc).isDirectory()).toBe(true);
+          verifyFileContents(path.join(rc, 'foo.js'), 'testModule-ux/rc/foo.js', done);
+        });
+      });
+
+      it("respects an array for fallback behavior", function (done) {
+        md.getRequireJsPaths({
+          "bajaScript-rt": [
+            "nmodule/bajaScript/rc/asdf.nope",
+            "nmodule/bajaScript/rc/bajaScript-rt"
+          ]
+        }, function (err, paths) {
+          expect(String(fs.readFileSync(paths["bajaScript-rt"] + '.js')))
+            .toBe('module.exports = "i am bajaScript-rt";');
+          done();
+        });
+      });
+      
+      it("calls back with error if file path not found", function (done) {
+        md.getRequireJsPaths({
+          "bajaScript-rt": "nmodule/bajaScript/rc/asdf.nope"
+        }, function (err) {
+          expect(err).toEqual(jasmine.any(Error));
+          done();
+        });
+      });
+
+      it("calls back with error if file path in array not found", function (done) {
+        md.getRequireJsPaths({
+          "bajaScript-rt": [
+            "nmodule/bajaScript/rc/asdf.nope",
+            "nmodule/bajaScript/rc/asdf.stillnope"
+          ]
+        }, function (err) {
+          expect(err).toEqual(jasmine.any(Error));
+          done();
+        });
+      });
+      
+      it("returns a Promise if no callback given", function (done) {
+        const promise = md.getRequireJsPaths({
+          "bajaScript-rt": "nmodule/bajaScript/rc/bajaScript-rt"
+        });
+        expect(promise).toEqual(jasmine.any(Promise));
+        promise
+          .then(function (paths) {
+            expect(String(fs.readFileSync(paths["bajaScript-rt"] + '.js')))
+              .toBe('module.exports = "i am bajaScript-rt";');
+            done();
+          });
+      });
+
+      it("respects file extensions if present", function (done) {
+        md.getRequireJsPaths({
+          "bajaScript-rt": "nmodule/bajaScript/rc/bajaScript-rt.js",
+          "bajaScript-template": "nmodule/bajaScript/rc/bajaScript-template.hbs"
+        }, function (err, paths) {
+          expect(err).toBeFalsy();
+          expect(String(fs.readFileSync(paths["bajaScript-rt"] + '.js')))
+            .toBe('module.exports = "i am bajaScript-rt";');
+          expect(String(fs.readFileSync(paths["bajaScript-template"] + '.hbs')))
+            .toBe('i am a {{template}}');
+          done();
+        });
+      });
+    });
+
+    describe(".generateRequireJsPaths()", function () {
+      const entryDir = 'test-amd-entry';
+
+      let md;
+
+      beforeEach(function (done) {
+        fs.mkdirsSync(entryDir);
+        moduledev.fromRawString(testPropsString, {
+          niagaraHome: 'spec/niagaraHome'
+        }, function (err, m) {
+          md = m;
+          done();
+        });
+      });
+
+      afterEach(function () {
+        fs.removeSync(entryDir);
+      });
+
+      function devPath(filePath) {
+        return path.join(testProps.bajaScript, filePath);
+      }
+
+      it("follows nmodule dependencies transitively", function (done) {
+        md.generateRequireJsPaths([ 'nmodule/bajaScript/rc/bajaScript-cycle' ])
+          .then(function (paths) {
+            expect(Object.keys(paths).sort()).toEqual([
+              'nmodule/bajaScript/rc/bajaScript-cycle',
+              'nmodule/bajaScript/rc/bajaScript-deps',
+              'nmodule/bajaScript/rc/bajaScript-rt',
+              'nmodule/bajaScript/rc/bajaScript-template',
+              'nmodule/bajaScript/rc/bajaScript-ux',
+              'nmodule/testModule/rc/foo',
+              'nmodule/testModule/rc/rt-only'
+            ]);
+            expect(paths['nmodule/bajaScript/rc/bajaScript-deps'])
+              .toBe(devPath('bajaScript-ux/src/rc/bajaScript-deps'));
+            expect(paths['nmodule/bajaScript/rc/bajaScript-template'])
+              .toBe(devPath('bajaScript-rt/src/rc/bajaScript-template'));
+            expect(String(fs.readFileSync(paths['nmodule/testModule/rc/rt-only'] + '.js')))
+              .toBe("module.exports = 'testModule-rt/rc/rt-only.js';");
+            done();
+          });
+      });
+
+      it("scans local entry files and their relative dependencies", function (done) {
+        fs.writeFileSync(path.join(entryDir, 'main.js'),
+          "define(['./helper', 'underscore'], function () {});");
+        fs.writeFileSync(path.join(entryDir, 'helper.js'),
+          "define(function (require) { require('nmodule/bajaScript/rc/bajaScript-rt'); });");
+
+        md.generateRequireJsPaths(path.join(entryDir, 'main.js'), function (err, paths) {
+          expect(err).toBeFalsy();
+          expect(paths).toEqual({
+            'nmodule/bajaScript/rc/bajaScript-rt': devPath('bajaScript-rt/src/rc/bajaScript-rt')
+          });
+          done();
+        });
+      });
+
+      it("maps plugin resources and skips lexicons", function (done) {
+        fs.writeFileSync(path.join(entryDir, 'main.js'),
+          "define(['css!nmodule/bajaScript/rc/bajaScript-style', " +
+          "'text!nmodule/bajaScript/rc/bajaScript-data.json', 'lex!bajaScript'], function () {});");
+
+        md.generateRequireJsPaths(path.join(entryDir, 'main.js'), function (err, paths) {
+          expect(err).toBeFalsy();
+          expect(paths).toEqual({
+            'nmodule/bajaScript/rc/bajaScript-style': devPath('bajaScript-ux/src/rc/bajaScript-style'),
+            'nmodule/bajaScript/rc/bajaScript-data': devPath('bajaScript-rt/src/rc/bajaScript-data')
+          });
+          done();
+        });
+      });
+
+      it("fails if an nmodule dependency cannot be found", function (done) {
+        fs.writeFileSync(path.join(entryDir, 'main.js'),
+          "require(['nmodule/testModule/rc/nonexistent'], function () {});");
+
+        md.generateRequireJsPaths([ path.join(entryDir, 'main.js') ])
+          .catch(function (err) {
+            expect(err).toEqual(jasmine.any(Error));
+            expect(err.message).toMatch(/nmodule\/testModule\/rc\/nonexistent/);
+            done();
+          });
+      });
+
+      it("rejects with FILE_NOT_FOUND if an entry file does not exist", function (done) {
+        md.generateRequireJsPaths([ path.join(entryDir, 'nonexistent.js') ])
+          .catch(function (err) {
+            expect(err.code).toBe('FILE_NOT_FOUND');
+            expect(err.path).toBe(path.resolve(entryDir, 'nonexistent.js'));
+            done();
+          });
+      });
+
+      it("rejects with MALFORMED_ORD if an entry is not a string", function (done) {
+        md.generateRequireJsPaths([ 42 ])
+          .catch(function (err) {
+            expect(err.code).toBe('MALFORMED_ORD');
+            done();
+          });
+      });
     });
   });
 
@@ -359,9 +2434,10 @@ describe("niagara-moduledev", function () {
     });
   }
 
-  function verifyError(md, filePath, done) {
+  function verifyError(md, filePath, code, done) {
     md.getFilePath(filePath, function (err) {
-      expect(err).toEqual(jasmine.any(Error));
+      expect(err).toEqual(jasmine.any(moduledev.errors.ModuleDevError));
+      expect(err.code).toBe(code);
       done();
     });
   }
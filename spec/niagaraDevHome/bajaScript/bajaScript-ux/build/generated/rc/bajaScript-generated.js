@@ -0,0 +1 @@
+module.exports = 'bajaScript-ux/build/generated/rc/bajaScript-generated.js';
\ No newline at end of file
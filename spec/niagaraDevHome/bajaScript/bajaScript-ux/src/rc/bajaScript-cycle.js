@@ -0,0 +1,4 @@
+/*global define */
+define([ 'nmodule/bajaScript/rc/bajaScript-deps', './bajaScript-cycle' ], function () {
+  'use strict';
+});
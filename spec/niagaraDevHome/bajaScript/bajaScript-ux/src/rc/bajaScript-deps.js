@@ -0,0 +1,14 @@
+/*global define */
+define([
+  'require',
+  'jquery',
+  'nmodule/bajaScript/rc/bajaScript-rt', // the runtime
+  'hbs!nmodule/bajaScript/rc/bajaScript-template',
+  './bajaScript-ux',
+  'nmodule/testModule/rc/foo'
+], function (require) {
+  'use strict';
+
+  /* require('nmodule/commented/rc/out'); */
+  return require('nmodule/testModule/rc/rt-only');
+});
@@ -0,0 +1 @@
+module.exports = 'layoutModule/build/generated/rc/generated.js';
\ No newline at end of file
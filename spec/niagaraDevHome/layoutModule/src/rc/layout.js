@@ -0,0 +1 @@
+module.exports = 'layoutModule/src/rc/layout.js';
\ No newline at end of file
@@ -0,0 +1 @@
+module.exports = 'layoutModule/test/rc/layoutTest.js';
\ No newline at end of file
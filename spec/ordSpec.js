@@ -0,0 +1,187 @@
+'use strict';
+
+const ord = require('../lib/ord'),
+      MalformedOrdError = require('../lib/errors').MalformedOrdError;
+
+
+describe("ord", function () {
+  function expectMalformed(request) {
+    let error;
+    try {
+      ord.parse(request);
+    } catch (err) {
+      error = err;
+    }
+    expect(error).toEqual(jasmine.any(MalformedOrdError));
+    expect(error && error.code).toBe('MALFORMED_ORD');
+  }
+
+  describe(".parse()", function () {
+    it("parses a /module/ URL", function () {
+      expect(ord.parse('/module/bajaScript/rc/virt.js')).toEqual({
+        format: 'url',
+        module: 'bajaScript',
+        path: 'rc/virt.js',
+        query: '',
+        fragment: ''
+      });
+    });
+
+    it("splits off the query string and fragment", function () {
+      expect(ord.parse('/module/bajaScript/rc/virt.js?v=42#top')).toEqual({
+        format: 'url',
+        module: 'bajaScript',
+        path: 'rc/virt.js',
+        query: 'v=42',
+        fragment: 'top'
+      });
+    });
+
+    it("percent-decodes a /module/ URL", function () {
+      const parsed = ord.parse('/module/myModule/rc/my%20file%2B1.js');
+      expect(parsed.module).toBe('myModule');
+      expect(parsed.path).toBe('rc/my file+1.js');
+    });
+
+    it("parses a module:// ORD", function () {
+      expect(ord.parse('module://bajaScript/rc/virt.js')).toEqual({
+        format: 'ord',
+        module: 'bajaScript',
+        path: 'rc/virt.js',
+        query: '',
+        fragment: ''
+      });
+    });
+
+    it("parses a module:// ORD at the end of an ORD chain", function () {
+      const parsed = ord.parse('local:|module://bajaScript/rc/virt.js');
+      expect(parsed.format).toBe('ord');
+      expect(parsed.module).toBe('bajaScript');
+      expect(parsed.path).toBe('rc/virt.js');
+    });
+
+    it("parses a /ord/ URL", function () {
+      const parsed = ord.parse('/ord/local:%7Cmodule://bajaScript/rc/virt.js?v=1');
+      expect(parsed.format).toBe('url');
+      expect(parsed.module).toBe('bajaScript');
+      expect(parsed.path).toBe('rc/virt.js');
+      expect(parsed.query).toBe('v=1');
+    });
+
+    it("parses an nmodule/ ID", function () {
+      expect(ord.parse('nmodule/bajaScript/rc/virt')).toEqual({
+        format: 'nmodule',
+        module: 'bajaScript',
+        path: 'rc/virt.js',
+        query: '',
+        fragment: ''
+      });
+    });
+
+    it("keeps ? and # in the path if options.query is false", function () {
+      const parsed = ord.parse('module://bajaScript/rc/?oo.js', { query: false });
+      expect(parsed.path).toBe('rc/?oo.js');
+      expect(parsed.query).toBe('');
+    });
+
+    it("parses a plugin-prefixed nmodule/ ID", function () {
+      expect(ord.parse('hbs!nmodule/myModule/rc/template')).toEqual({
+        format: 'nmodule',
+        module: 'myModule',
+        path: 'rc/template.hbs',
+        query: '',
+        fragment: '',
+        plugin: 'hbs'
+      });
+      expect(ord.parse('css!nmodule/myModule/rc/style.css').path).toBe('rc/style.css');
+      expect(ord.parse('text!nmodule/myModule/rc/data.json').path).toBe('rc/data.json');
+      expect(ord.parse('nmodule/js/rc/require-handlebars-plugin/hbs!nmodule/myModule/rc/t').path)
+        .toBe('rc/t.hbs');
+      expect(ord.parse('less!nmodule/myModule/rc/style', {
+        pluginExtensions: { less: '.less' }
+      }).path).toBe('rc/style.less');
+    });
+
+    it("returns null for plugin resources that are not module files", function () {
+      expect(ord.parse('lex!bajaux,webEditors')).toBe(null);
+      expect(ord.parse('css!./style')).toBe(null);
+    });
+
+    it("returns null for a request that is not for a module", function () {
+      expect(ord.parse('/moodule/bajaux/rc/foo')).toBe(null);
+      expect(ord.parse('station:|slot:/')).toBe(null);
+      expect(ord.parse('/ord/station:|slot:/')).toBe(null);
+      expect(ord.parse('module://foo/a.js|slot:/')).toBe(null);
+      expect(ord.parse(42)).toBe(null);
+    });
+
+    it("throws MalformedOrdError if the module name is missing", function () {
+      expectMalformed('module://virt.js');
+      expectMalformed('/module//rc/virt.js');
+    });
+
+    it("throws MalformedOrdError for invalid percent-encoding", function () {
+      expectMalformed('/module/bajaScript/rc/%E0%A4%A.js');
+    });
+
+    it("resolves . and .. segments inside the module", function () {
+      expect(ord.parse('module://bajaScript/rc/../rc/./virt.js').path).toBe('rc/virt.js');
+    });
+
+    it("throws MalformedOrdError for a path that climbs out of the module", function () {
+      expectMalformed('module://bajaScript/../../etc/passwd');
+      expectMalformed('/module/bajaScript/%2e%2e/%2e%2e/etc/passwd');
+      expectMalformed('nmodule/bajaScript/rc/../../x');
+      expectMalformed('module://../etc/passwd');
+      expectMalformed('module://bajaScript/rc/..\\..\\x.js');
+      expectMalformed('/module/bajaScript/rc/x%00.js');
+    });
+  });
+
+  describe(".format()", function () {
+    it("formats as a /module/ URL, keeping the query string", function () {
+      expect(ord.format('module://my Module/rc/a b.js', 'url'))
+        .toBe('/module/my%20Module/rc/a%20b.js');
+      expect(ord.format('/module/bajaScript/rc/virt.js?v=42', 'url'))
+        .toBe('/module/bajaScript/rc/virt.js?v=42');
+    });
+
+    it("formats as a module:// ORD", function () {
+      expect(ord.format('nmodule/bajaScript/rc/virt', 'ord'))
+        .toBe('module://bajaScript/rc/virt.js');
+      expect(ord.format('/ord/local:%7Cmodule://bajaScript/rc/virt.js', 'ord'))
+        .toBe('module://bajaScript/rc/virt.js');
+    });
+
+    it("formats as an nmodule/ ID", function () {
+      expect(ord.format('/module/bajaScript/rc/virt.js?v=42', 'nmodule'))
+        .toBe('nmodule/bajaScript/rc/virt');
+      expect(ord.format('module://bajaScript/rc/template.hbs', 'nmodule'))
+        .toBe('nmodule/bajaScript/rc/template.hbs');
+    });
+
+    it("keeps the plugin prefix in an nmodule/ ID", function () {
+      expect(ord.format('hbs!nmodule/myModule/rc/template', 'nmodule'))
+        .toBe('hbs!nmodule/myModule/rc/template');
+      expect(ord.format('hbs!nmodule/myModule/rc/template', 'ord'))
+        .toBe('module://myModule/rc/template.hbs');
+      expect(ord.format('text!nmodule/myModule/rc/data.json', 'nmodule'))
+        .toBe('text!nmodule/myModule/rc/data.json');
+    });
+
+    it("formats a parsed request", function () {
+      const parsed = ord.parse('local:|module://bajaScript/rc/virt.js');
+      expect(ord.format(parsed, 'url')).toBe('/module/bajaScript/rc/virt.js');
+    });
+
+    it("throws for a request that is not for a module", function () {
+      expect(function () { ord.format('/moodule/bajaux/rc/foo', 'ord'); })
+        .toThrow('not a module request: /moodule/bajaux/rc/foo');
+    });
+
+    it("throws for an unknown format", function () {
+      expect(function () { ord.format('module://bajaScript/rc/virt.js', 'foo'); })
+        .toThrow();
+    });
+  });
+});
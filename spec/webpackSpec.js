@@ -0,0 +1,105 @@
+'use strict';
+
+const moduledev = require('../lib/moduledev'),
+      properties = require('properties'),
+      fs = require('fs'),
+      path = require('path');
+
+
+describe("niagara-moduledev webpack plugin", function () {
+  const testProps = {
+          bajaScript: 'spec/niagaraDevHome/bajaScript'
+        },
+        testPropsString = properties.stringify(testProps);
+
+  let hook, resolver;
+
+  //stands in for webpack's enhanced-resolve Resolver
+  function makeResolver() {
+    return {
+      ensureHook: jasmine.createSpy('ensureHook').andReturn('targetHook'),
+      getHook: function (name) {
+        expect(name).toBe('described-resolve');
+        return {
+          tapAsync: function (pluginName, fn) {
+            hook = fn;
+          }
+        };
+      },
+      doResolve: jasmine.createSpy('doResolve').andCallFake(
+        function (target, request, message, resolveContext, callback) {
+          callback(null, request);
+        })
+    };
+  }
+
+  function resolve(id, callback) {
+    hook({ path: '/project/src', request: id }, {}, callback);
+  }
+
+  beforeEach(function (done) {
+    resolver = makeResolver();
+    moduledev.fromRawString(testPropsString, {
+      niagaraHome: 'spec/niagaraHome'
+    }, function (err, md) {
+      moduledev.webpackPlugin(md).apply(resolver);
+      expect(resolver.ensureHook).toHaveBeenCalledWith('resolve');
+      done();
+    });
+  });
+
+  it("resolves an nmodule ID from moduledev", function (done) {
+    resolve('nmodule/bajaScript/rc/bajaScript-rt', function (err, result) {
+      expect(err).toBeFalsy();
+      expect(result.request).toBe(path.join(testProps.bajaScript,
+        'bajaScript-rt/src/rc/bajaScript-rt.js'));
+      expect(result.path).toBe('/project/src');
+      expect(resolver.doResolve.mostRecentCall.args[0]).toBe('targetHook');
+      done();
+    });
+  });
+
+  it("resolves an nmodule ID extracted from a jar", function (done) {
+    resolve('nmodule/testModule/rc/foo', function (err, result) {
+      expect(err).toBeFalsy();
+      expect(String(fs.readFileSync(result.request)))
+        .toBe("module.exports = 'testModule-ux/rc/foo.js';");
+      done();
+    });
+  });
+
+  it("resolves non-JS files", function (done) {
+    resolve('nmodule/bajaScript/rc/bajaScript-template.hbs', function (err, result) {
+      expect(err).toBeFalsy();
+      expect(String(fs.readFileSync(result.request))).toBe('i am a {{template}}');
+      done();
+    });
+  });
+
+  it("resolves a module:// ORD", function (done) {
+    resolve('module://testModule/rc/rt-only.js', function (err, result) {
+      expect(err).toBeFalsy();
+      expect(String(fs.readFileSync(result.request)))
+        .toBe("module.exports = 'testModule-rt/rc/rt-only.js';");
+      done();
+    });
+  });
+
+  it("fails with an error if the file cannot be found", function (done) {
+    resolve('nmodule/testModule/rc/nonexistent', function (err) {
+      expect(err).toEqual(jasmine.any(Error));
+      expect(err.message).toMatch(/Can't resolve 'nmodule\/testModule\/rc\/nonexistent'/);
+      expect(resolver.doResolve).not.toHaveBeenCalled();
+      done();
+    });
+  });
+
+  it("ignores other requests", function (done) {
+    resolve('./foo', function (err, result) {
+      expect(err).toBeFalsy();
+      expect(result).toBeUndefined();
+      expect(resolver.doResolve).not.toHaveBeenCalled();
+      done();
+    });
+  });
+});